@@ -0,0 +1,29 @@
+import useTranslation from '@/hooks/useTranslation';
+
+// "‹ 2 / 3 ›" navigation between alternative versions of a message
+export default function BranchSwitcher({ branch, onSelect, disabled }) {
+  const { t } = useTranslation();
+  const buttonClass = 'px-1 hover:text-white disabled:opacity-30 disabled:hover:text-zinc-300 transition-colors';
+
+  return (
+    <div className="flex items-center gap-1 text-xs text-zinc-300">
+      <button
+        onClick={() => onSelect(branch.previousId)}
+        disabled={disabled || branch.previousId === null}
+        className={buttonClass}
+        aria-label={t('branch.previous')}
+      >
+        ‹
+      </button>
+      <span>{branch.index + 1} / {branch.count}</span>
+      <button
+        onClick={() => onSelect(branch.nextId)}
+        disabled={disabled || branch.nextId === null}
+        className={buttonClass}
+        aria-label={t('branch.next')}
+      >
+        ›
+      </button>
+    </div>
+  );
+}
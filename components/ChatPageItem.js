@@ -0,0 +1,144 @@
+import { useState, useRef } from 'react';
+import useTranslation from '@/hooks/useTranslation';
+import useClickOutside from '@/hooks/useClickOutside';
+import { isUntitled } from '@/lib/chatOrganize';
+
+const MAX_TITLE_LENGTH = 50;
+
+const menuItemClass = 'w-full text-start px-3 py-2 text-sm text-zinc-300 hover:bg-zinc-700 hover:text-white transition-colors';
+
+// One chat in the sidebar, with inline rename (double-click or F2) and a
+// menu for pinning, filing into a folder and moving to the trash
+export default function ChatPageItem({ page, active, folders, onSelect, onRename, onTogglePin, onMoveToFolder, onTrash }) {
+  const { t } = useTranslation();
+  const [renaming, setRenaming] = useState(false);
+  const [draftTitle, setDraftTitle] = useState(page.title);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const menuRef = useRef(null);
+  // Closing the input can still fire a blur; ignore it once rename is done
+  const cancelRenameRef = useRef(false);
+
+  useClickOutside(menuRef, () => setMenuOpen(false), menuOpen);
+
+  const startRename = () => {
+    setMenuOpen(false);
+    setDraftTitle(page.title);
+    cancelRenameRef.current = false;
+    setRenaming(true);
+  };
+
+  const finishRename = () => {
+    if (cancelRenameRef.current) return;
+    const title = draftTitle.trim().slice(0, MAX_TITLE_LENGTH);
+    if (title && title !== page.title) {
+      onRename(title);
+    }
+    cancelRenameRef.current = true;
+    setRenaming(false);
+  };
+
+  const moveToNewFolder = () => {
+    setMenuOpen(false);
+    const folder = window.prompt(t('chatItem.folderPrompt'))?.trim();
+    if (folder) onMoveToFolder(folder);
+  };
+
+  const runMenuAction = (action) => {
+    setMenuOpen(false);
+    action();
+  };
+
+  const title = isUntitled(page) ? t('chat.newChat') : page.title;
+
+  return (
+    <div
+      className={`group relative flex items-center justify-between p-2 mb-1 rounded-lg cursor-pointer transition-colors ${
+        active ? 'bg-zinc-700' : 'bg-black-800 hover:bg-zinc-700'
+      }`}
+      onClick={() => !renaming && onSelect()}
+    >
+      {renaming ? (
+        <input
+          value={draftTitle}
+          onChange={(e) => setDraftTitle(e.target.value)}
+          onBlur={finishRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') finishRename();
+            if (e.key === 'Escape') {
+              cancelRenameRef.current = true;
+              setRenaming(false);
+            }
+          }}
+          onClick={(e) => e.stopPropagation()}
+          maxLength={MAX_TITLE_LENGTH}
+          aria-label={t('chatItem.title')}
+          className="flex-1 min-w-0 bg-zinc-800 text-white text-sm border border-zinc-600 rounded p-1 focus:outline-none focus:ring-2 focus:ring-sky-500"
+          autoFocus
+        />
+      ) : (
+        // Clicks bubble up to the row, which selects the chat
+        <button
+          type="button"
+          className="flex-1 min-w-0 text-start truncate rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-sky-500"
+          onDoubleClick={startRename}
+          onKeyDown={(e) => {
+            if (e.key === 'F2') {
+              e.preventDefault();
+              startRename();
+            }
+          }}
+          title={t('chatItem.renameHint')}
+          aria-current={active ? 'page' : undefined}
+        >
+          <div className="text-sm font-medium truncate">
+            {page.pinned && <span className="me-1" role="img" aria-label={t('chatItem.pinned')}>📌</span>}
+            {title}
+          </div>
+        </button>
+      )}
+
+      <div ref={menuRef} className="relative shrink-0">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setMenuOpen(!menuOpen);
+          }}
+          className={`${menuOpen ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'} text-zinc-400 hover:text-white transition-all w-8 h-8 flex items-center justify-center rounded-lg hover:bg-zinc-800`}
+          aria-label={t('chatItem.options', { title })}
+          aria-haspopup="menu"
+          aria-expanded={menuOpen}
+        >
+          ⋯
+        </button>
+        {menuOpen && (
+          <div
+            role="menu"
+            onClick={(e) => e.stopPropagation()}
+            className="absolute end-0 top-full mt-1 z-10 w-48 bg-zinc-800 border border-zinc-600 rounded-lg shadow-lg overflow-hidden"
+          >
+            <button role="menuitem" onClick={startRename} className={menuItemClass}>{t('chatItem.rename')}</button>
+            <button role="menuitem" onClick={() => runMenuAction(onTogglePin)} className={menuItemClass}>
+              {page.pinned ? t('chatItem.unpin') : t('chatItem.pin')}
+            </button>
+            <div className="border-t border-zinc-700"></div>
+            {folders.filter(folder => folder !== page.folder).map(folder => (
+              <button key={folder} role="menuitem" onClick={() => runMenuAction(() => onMoveToFolder(folder))} className={`${menuItemClass} truncate`}>
+                {t('chatItem.moveTo', { folder })}
+              </button>
+            ))}
+            <button role="menuitem" onClick={moveToNewFolder} className={menuItemClass}>{t('chatItem.newFolder')}</button>
+            {page.folder && (
+              <button role="menuitem" onClick={() => runMenuAction(() => onMoveToFolder(null))} className={menuItemClass}>
+                {t('chatItem.removeFromFolder')}
+              </button>
+            )}
+            <div className="border-t border-zinc-700"></div>
+            <button role="menuitem" onClick={() => runMenuAction(onTrash)} className={`${menuItemClass} hover:text-red-400`}>
+              {t('chatItem.moveToTrash')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
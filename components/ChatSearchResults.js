@@ -0,0 +1,35 @@
+import useTranslation from '@/hooks/useTranslation';
+
+export default function ChatSearchResults({ results, onSelect }) {
+  const { t } = useTranslation();
+
+  if (results.length === 0) {
+    return <p className="text-sm text-zinc-500 px-2">{t('search.noResults')}</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {results.map(result => (
+        <li key={`${result.pageId}:${result.messageId}`}>
+          <button
+            onClick={() => onSelect(result)}
+            className="w-full text-start p-2 rounded-lg bg-black-800 hover:bg-zinc-700 transition-colors"
+          >
+            <div className="text-xs text-zinc-400 truncate mb-1">
+              {result.pageTitle} · {result.type === 'user' ? t('search.you') : t('search.assistant')}
+            </div>
+            <div className="text-sm text-zinc-300 line-clamp-3">
+              {result.snippet.map((part, index) =>
+                part.match ? (
+                  <mark key={index} className="bg-sky-700 text-white rounded px-0.5">{part.text}</mark>
+                ) : (
+                  <span key={index}>{part.text}</span>
+                )
+              )}
+            </div>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,54 @@
+import useTranslation from '@/hooks/useTranslation';
+import { isUntitled } from '@/lib/chatOrganize';
+
+export default function ChatTrash({ pages, onRestore, onPurge, onEmpty, onClose }) {
+  const { t, formatDate } = useTranslation();
+
+  return (
+    <div>
+      <div className="flex items-center justify-between px-2 mb-2">
+        <button onClick={onClose} className="text-sm text-zinc-400 hover:text-white transition-colors">
+          {t('common.back')}
+        </button>
+        {pages.length > 0 && (
+          <button onClick={onEmpty} className="text-sm text-zinc-400 hover:text-red-400 transition-colors">
+            {t('trash.emptyTrash')}
+          </button>
+        )}
+      </div>
+      <h3 className="text-sm font-bold text-gray-400 px-2 mb-2">{t('trash.title')}</h3>
+
+      {pages.length === 0 ? (
+        <p className="text-sm text-zinc-500 px-2">{t('trash.empty')}</p>
+      ) : (
+        pages.map(page => {
+          const title = isUntitled(page) ? t('chat.newChat') : page.title;
+          return (
+            <div key={page.id} className="p-2 mb-1 rounded-lg hover:bg-zinc-800">
+              <div className="text-sm font-medium truncate">{title}</div>
+              <div className="text-xs text-zinc-500 mb-1">
+                {t('trash.deletedOn', { date: formatDate(page.deletedAt, { dateStyle: 'medium' }) })}
+              </div>
+              <div className="flex gap-3 text-xs">
+                <button
+                  onClick={() => onRestore(page.id)}
+                  aria-label={t('trash.restoreChat', { title })}
+                  className="text-sky-400 hover:text-sky-300 transition-colors"
+                >
+                  {t('trash.restore')}
+                </button>
+                <button
+                  onClick={() => onPurge(page.id)}
+                  aria-label={t('trash.deleteChatForever', { title })}
+                  className="text-zinc-400 hover:text-red-400 transition-colors"
+                >
+                  {t('trash.deleteForever')}
+                </button>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
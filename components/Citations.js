@@ -0,0 +1,54 @@
+import useTranslation from '@/hooks/useTranslation';
+
+const formatScore = (score) => (score === null ? null : score.toFixed(2));
+
+export function CitationChips({ citations, activeNumber, onSelect }) {
+  return (
+    <div className="mt-3 flex flex-wrap gap-2">
+      {citations.map((citation) => (
+        <button
+          key={citation.number}
+          onClick={() => onSelect(citation)}
+          className={`flex items-center gap-1 text-xs px-2 py-1 rounded-full border transition-colors max-w-xs ${
+            citation.number === activeNumber
+              ? 'bg-sky-700 border-sky-500 text-white'
+              : 'bg-zinc-800 border-zinc-600 text-zinc-300 hover:border-sky-500 hover:text-white'
+          }`}
+        >
+          <span className="font-semibold text-sky-400">{citation.number}</span>
+          <span className="truncate">{citation.document}</span>
+          {citation.location && <span className="text-zinc-400 shrink-0">· {citation.location}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export function CitationPanel({ citation, onClose }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="w-96 shrink-0 bg-zinc-800 border-s border-zinc-700 flex flex-col">
+      <div className="p-4 border-b border-zinc-700 flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="text-xs text-sky-400 font-semibold mb-1">{t('citations.source', { number: citation.number })}</div>
+          <h2 className="font-semibold break-words">{citation.document}</h2>
+          <div className="text-xs text-zinc-400 mt-1 flex gap-3">
+            {citation.location && <span>{citation.location}</span>}
+            {citation.score !== null && <span>{t('citations.score', { score: formatScore(citation.score) })}</span>}
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          aria-label={t('citations.close')}
+          className="text-zinc-400 hover:text-white text-xl w-8 h-8 flex items-center justify-center rounded-lg hover:bg-zinc-700"
+        >
+          ×
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto p-4 text-sm text-zinc-300 whitespace-pre-wrap">
+        {citation.text || t('citations.noText')}
+      </div>
+    </div>
+  );
+}
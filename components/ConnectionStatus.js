@@ -0,0 +1,33 @@
+import useTranslation from '@/hooks/useTranslation';
+
+const DOT_STYLES = {
+  ready: 'bg-green-500',
+  not_ready: 'bg-yellow-400',
+  offline: 'bg-red-500',
+  checking: 'bg-zinc-400 animate-pulse'
+};
+
+// Compact backend status for the chat header; opens the status page on click.
+// Changes are announced through a separate live region, so the button keeps
+// its button role.
+export default function ConnectionStatus({ readiness, lastCheckedAt, onClick }) {
+  const { t, formatDate } = useTranslation();
+  const state = DOT_STYLES[readiness] ? readiness : 'checking';
+  const lastChecked = lastCheckedAt ? ` ${t('connection.lastChecked', { time: formatDate(lastCheckedAt, { timeStyle: 'medium' }) })}` : '';
+
+  return (
+    <>
+      <button
+        onClick={onClick}
+        className="flex items-center gap-2 text-sm text-zinc-400 hover:text-white transition-colors"
+        title={`${t(`connection.${state}Hint`)}${lastChecked}`}
+      >
+        <span className={`w-2 h-2 rounded-full ${DOT_STYLES[state]}`} aria-hidden="true"></span>
+        {t(`connection.${state}`)}
+      </button>
+      <span role="status" className="sr-only">
+        {t(`connection.${state}Hint`)}
+      </span>
+    </>
+  );
+}
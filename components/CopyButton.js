@@ -0,0 +1,34 @@
+import { useState, useEffect, useRef } from 'react';
+import useTranslation from '@/hooks/useTranslation';
+
+export default function CopyButton({ text }) {
+  const { t } = useTranslation();
+  const [copied, setCopied] = useState(false);
+  const resetTimeoutRef = useRef(null);
+
+  useEffect(() => {
+    return () => clearTimeout(resetTimeoutRef.current);
+  }, []);
+
+  const copyToClipboard = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+      clearTimeout(resetTimeoutRef.current);
+      resetTimeoutRef.current = setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy message:', error);
+    }
+  };
+
+  return (
+    <button
+      onClick={copyToClipboard}
+      className="text-xs text-zinc-300 hover:text-white opacity-60 hover:opacity-100 transition-opacity"
+      aria-label={t('copy.label')}
+      title={t('copy.hint')}
+    >
+      {copied ? t('copy.copied') : t('copy.copy')}
+    </button>
+  );
+}
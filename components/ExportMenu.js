@@ -0,0 +1,44 @@
+import { useState, useRef } from 'react';
+import useTranslation from '@/hooks/useTranslation';
+import useClickOutside from '@/hooks/useClickOutside';
+
+const EXPORT_FORMATS = ['markdown', 'json', 'pdf'];
+
+// Button with a dropdown of export formats; calls onExport(formatId)
+export default function ExportMenu({ label, onExport, className = '', menuPosition = 'top-full mt-1 end-0' }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useClickOutside(menuRef, () => setOpen(false), open);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={className}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        {label}
+      </button>
+      {open && (
+        <div role="menu" className={`absolute ${menuPosition} z-10 w-40 bg-zinc-800 border border-zinc-600 rounded-lg shadow-lg overflow-hidden`}>
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format}
+              role="menuitem"
+              onClick={() => {
+                setOpen(false);
+                onExport(format);
+              }}
+              className="w-full text-start px-3 py-2 text-sm text-zinc-300 hover:bg-zinc-700 hover:text-white transition-colors"
+            >
+              {t(`export.${format}`)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
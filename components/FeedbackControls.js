@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { FEEDBACK_CATEGORIES } from '@/lib/feedback';
+import useTranslation from '@/hooks/useTranslation';
+
+const thumbClass = (selected) =>
+  `text-sm transition-opacity ${selected ? 'opacity-100' : 'opacity-40 hover:opacity-100'}`;
+
+// Thumbs up/down for an answer. A click saves the rating straight away and
+// opens an optional form for a category and comment.
+export default function FeedbackControls({ feedback, onSubmit }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async (nextFeedback) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(nextFeedback);
+      return true;
+    } catch (err) {
+      console.error('Failed to send feedback:', err);
+      setError(t('feedback.sendFailed'));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rate = async (rating) => {
+    const sameRating = feedback?.rating === rating;
+    const nextFeedback = {
+      rating,
+      category: sameRating ? feedback.category || null : null,
+      comment: sameRating ? feedback.comment || '' : ''
+    };
+    setDraft(nextFeedback);
+    if (!sameRating) {
+      await save(nextFeedback);
+    }
+  };
+
+  const sendDetails = async () => {
+    if (await save(draft)) {
+      setDraft(null);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => rate('up')}
+          disabled={saving}
+          className={thumbClass(feedback?.rating === 'up')}
+          aria-label={t('feedback.good')}
+          aria-pressed={feedback?.rating === 'up'}
+          title={t('feedback.good')}
+        >
+          👍
+        </button>
+        <button
+          onClick={() => rate('down')}
+          disabled={saving}
+          className={thumbClass(feedback?.rating === 'down')}
+          aria-label={t('feedback.bad')}
+          aria-pressed={feedback?.rating === 'down'}
+          title={t('feedback.bad')}
+        >
+          👎
+        </button>
+        {error && <span className="text-xs text-red-300">{error}</span>}
+      </div>
+
+      {draft && (
+        <div className="mt-2 p-3 bg-zinc-800 rounded-lg space-y-2 text-sm">
+          {draft.rating === 'down' && (
+            <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={t('feedback.whatWasWrong')}>
+              {FEEDBACK_CATEGORIES.map(category => (
+                <button
+                  key={category.id}
+                  role="radio"
+                  aria-checked={draft.category === category.id}
+                  onClick={() => setDraft({ ...draft, category: draft.category === category.id ? null : category.id })}
+                  className={`px-2 py-1 rounded-full border transition-colors ${
+                    draft.category === category.id
+                      ? 'bg-sky-600 border-sky-500 text-white'
+                      : 'border-zinc-600 text-zinc-300 hover:border-zinc-400'
+                  }`}
+                >
+                  {t(`feedback.category.${category.id}`)}
+                </button>
+              ))}
+            </div>
+          )}
+          <textarea
+            value={draft.comment}
+            onChange={(e) => setDraft({ ...draft, comment: e.target.value })}
+            placeholder={draft.rating === 'down' ? t('feedback.badPlaceholder') : t('feedback.goodPlaceholder')}
+            aria-label={t('feedback.comment')}
+            className="w-full bg-zinc-700 text-white border border-zinc-600 rounded-lg p-2 resize-none focus:outline-none focus:ring-2 focus:ring-sky-500"
+            rows={2}
+          />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setDraft(null)} className="px-3 py-1 text-zinc-400 hover:text-white transition-colors">
+              {t('common.close')}
+            </button>
+            <button
+              onClick={sendDetails}
+              disabled={saving}
+              className="px-3 py-1 rounded-lg bg-sky-600 hover:bg-sky-700 disabled:bg-zinc-600 transition-colors"
+            >
+              {t('common.send')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
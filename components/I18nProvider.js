@@ -0,0 +1,43 @@
+import { createContext, useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  DEFAULT_LOCALE,
+  translate,
+  formatDateTime,
+  getTextDirection,
+  loadLocale,
+  saveLocale
+} from '@/lib/i18n';
+import { formatFileSize } from '@/lib/files';
+
+export const I18nContext = createContext(null);
+
+// Holds the chosen locale and keeps <html lang dir> in step with it. Pages
+// render in the default locale on the server and switch once mounted.
+export default function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+
+  useEffect(() => {
+    setLocaleState(loadLocale());
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = getTextDirection(locale);
+  }, [locale]);
+
+  const setLocale = useCallback((nextLocale) => {
+    saveLocale(nextLocale);
+    setLocaleState(nextLocale);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    dir: getTextDirection(locale),
+    t: (key, params) => translate(locale, key, params),
+    formatDate: (date, options) => formatDateTime(date, locale, options),
+    formatSize: (bytes) => formatFileSize(bytes, locale)
+  }), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,20 @@
+import { LOCALES } from '@/lib/i18n';
+import useTranslation from '@/hooks/useTranslation';
+
+export default function LanguageSwitcher({ className = '' }) {
+  const { t, locale, setLocale } = useTranslation();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language.label')}
+      title={t('language.label')}
+      className={`bg-zinc-800 text-zinc-300 border border-zinc-600 rounded-lg p-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500 ${className}`}
+    >
+      {LOCALES.map(entry => (
+        <option key={entry.id} value={entry.id} lang={entry.id}>{entry.label}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,63 @@
+const WIDTH = 600;
+const HEIGHT = 160;
+const PADDING = 8;
+
+// Response time of each health check as a line, with failed checks marked
+// in red along the bottom. Plain SVG so the page needs no chart library.
+export default function LatencyChart({ samples }) {
+  if (samples.length === 0) {
+    return <div className="h-40 flex items-center justify-center text-zinc-500 text-sm">No checks yet.</div>;
+  }
+
+  const maxLatency = Math.max(100, ...samples.filter(sample => sample.ok).map(sample => sample.latencyMs));
+  const step = samples.length > 1 ? (WIDTH - PADDING * 2) / (samples.length - 1) : 0;
+  const getX = (index) => PADDING + index * step;
+  const getY = (latency) => HEIGHT - PADDING - (latency / maxLatency) * (HEIGHT - PADDING * 2);
+
+  // Break the line at failed checks rather than drawing across them
+  const segments = [];
+  samples.forEach((sample, index) => {
+    if (!sample.ok) {
+      segments.push([]);
+      return;
+    }
+    if (segments.length === 0) segments.push([]);
+    segments[segments.length - 1].push({ x: getX(index), y: getY(sample.latencyMs) });
+  });
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-zinc-500 mb-1">
+        <span>{maxLatency} ms</span>
+        <span>Last {samples.length} checks</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-40 bg-zinc-900 rounded-lg"
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Health check response times"
+      >
+        {segments.filter(points => points.length > 0).map((points, index) => (
+          points.length === 1 ? (
+            <circle key={index} cx={points[0].x} cy={points[0].y} r="3" className="fill-sky-500" />
+          ) : (
+            <polyline
+              key={index}
+              points={points.map(point => `${point.x},${point.y}`).join(' ')}
+              fill="none"
+              className="stroke-sky-500"
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          )
+        ))}
+        {samples.map((sample, index) => !sample.ok && (
+          <rect key={sample.checkedAt} x={getX(index) - 2} y={HEIGHT - PADDING} width="4" height={PADDING} className="fill-red-500">
+            <title>{`Failed at ${new Date(sample.checkedAt).toLocaleTimeString()}`}</title>
+          </rect>
+        ))}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import { remarkCitationLinks, getCitationFromHref } from '@/lib/citations';
+
+// Raw HTML in the answer is never rendered: react-markdown drops it, unsafe
+// URLs are stripped, and rehype-sanitize cleans whatever tree is left.
+const buildComponents = (citations, onCitationSelect) => ({
+  a: ({ href, children }) => {
+    const citation = getCitationFromHref(href, citations);
+    if (citation) {
+      return (
+        <button
+          onClick={() => onCitationSelect(citation)}
+          className="align-super text-xs text-sky-300 hover:text-sky-200 hover:underline px-0.5"
+          title={citation.document}
+        >
+          {children}
+        </button>
+      );
+    }
+    return (
+      <a href={href} target="_blank" rel="noopener noreferrer" className="text-sky-300 underline hover:text-sky-200">
+        {children}
+      </a>
+    );
+  },
+  p: ({ children }) => <p className="mb-3 last:mb-0">{children}</p>,
+  h1: ({ children }) => <h1 className="text-xl font-bold mt-4 mb-2 first:mt-0">{children}</h1>,
+  h2: ({ children }) => <h2 className="text-lg font-bold mt-4 mb-2 first:mt-0">{children}</h2>,
+  h3: ({ children }) => <h3 className="font-bold mt-3 mb-2 first:mt-0">{children}</h3>,
+  ul: ({ children }) => <ul className="list-disc ps-6 mb-3 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal ps-6 mb-3 space-y-1">{children}</ol>,
+  blockquote: ({ children }) => (
+    <blockquote className="border-s-4 border-zinc-500 ps-3 italic text-zinc-300 mb-3">{children}</blockquote>
+  ),
+  pre: ({ children }) => (
+    <pre className="bg-zinc-900 rounded-lg p-3 mb-3 overflow-x-auto text-sm">{children}</pre>
+  ),
+  code: ({ className, children }) =>
+    className ? (
+      <code className={className}>{children}</code>
+    ) : (
+      <code className="bg-zinc-900 rounded px-1 py-0.5 text-sm">{children}</code>
+    ),
+  table: ({ children }) => (
+    <div className="overflow-x-auto mb-3">
+      <table className="min-w-full text-sm border-collapse">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="border border-zinc-500 px-3 py-1 text-start bg-zinc-800">{children}</th>,
+  td: ({ children }) => <td className="border border-zinc-500 px-3 py-1 align-top">{children}</td>,
+  hr: () => <hr className="my-4 border-zinc-500" />,
+});
+
+export default function MarkdownMessage({ content, citations, onCitationSelect }) {
+  return (
+    <div className="break-words">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, [remarkCitationLinks, { citations }]]}
+        rehypePlugins={[rehypeSanitize]}
+        components={buildComponents(citations, onCitationSelect)}
+      >
+        {content || ''}
+      </ReactMarkdown>
+    </div>
+  );
+}
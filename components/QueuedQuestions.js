@@ -0,0 +1,39 @@
+import useTranslation from '@/hooks/useTranslation';
+import { isUntitled } from '@/lib/chatOrganize';
+
+// Questions waiting to be sent once the backend is reachable again
+export default function QueuedQuestions({ items, pages, currentPageId, onCancel }) {
+  const { t } = useTranslation();
+  if (items.length === 0) return null;
+
+  return (
+    <div className="mb-3 p-3 rounded-lg bg-zinc-800 border border-zinc-600">
+      <div className="text-sm text-yellow-400 mb-2">
+        {t('queue.heading', { count: items.length })}
+      </div>
+      <ol className="space-y-1">
+        {items.map((item, index) => {
+          const page = pages.find(p => p.id === item.pageId);
+          return (
+            <li key={item.id} className="flex items-center gap-3 text-sm">
+              <span className="text-zinc-500 shrink-0">{index + 1}.</span>
+              <span className="flex-1 truncate text-zinc-200" title={item.content}>{item.content}</span>
+              {item.pageId !== currentPageId && page && (
+                <span className="text-xs text-zinc-500 truncate max-w-[10rem] shrink-0">
+                  {t('queue.inChat', { title: isUntitled(page) ? t('chat.newChat') : page.title })}
+                </span>
+              )}
+              <button
+                onClick={() => onCancel(item.id)}
+                aria-label={t('queue.cancel', { question: item.content })}
+                className="text-xs text-zinc-400 hover:text-red-400 transition-colors shrink-0"
+              >
+                {t('common.cancel')}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,87 @@
+import { INGEST_STAGES, isJobActive, getStageIndex, getJobErrorMessage } from '@/lib/ingestJobs';
+import { getFileIcon } from '@/lib/files';
+import useTranslation from '@/hooks/useTranslation';
+
+const STATUS_STYLES = {
+  queued: 'text-zinc-400',
+  running: 'text-sky-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400'
+};
+
+function StageSteps({ job }) {
+  const { t } = useTranslation();
+  const stageIndex = getStageIndex(job);
+
+  return (
+    <div className="flex gap-1 mt-2">
+      {INGEST_STAGES.map((stage, index) => {
+        const reached = index <= stageIndex;
+        const inProgress = isJobActive(job) && index === stageIndex + 1;
+        return (
+          <div key={stage} className="flex-1">
+            <div className={`h-1.5 rounded-full ${
+              reached ? 'bg-green-500' : inProgress ? 'bg-sky-500 animate-pulse' : 'bg-zinc-600'
+            }`}></div>
+            <div className={`text-xs mt-1 ${reached ? 'text-zinc-300' : 'text-zinc-500'}`}>
+              {t(`jobs.stage.${stage}`)}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default function RecentIngestions({ jobs, onClearFinished }) {
+  const { t, locale, formatDate } = useTranslation();
+  if (jobs.length === 0) return null;
+
+  const runningCount = jobs.filter(isJobActive).length;
+
+  return (
+    <div className="bg-zinc-800 rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold">{t('jobs.heading')}</h2>
+          {runningCount > 0 && (
+            <div className="text-sm text-zinc-400 mt-1">{t('jobs.running', { count: runningCount })}</div>
+          )}
+        </div>
+        {jobs.length > runningCount && (
+          <button
+            onClick={onClearFinished}
+            className="text-zinc-400 hover:text-white text-sm transition-colors"
+          >
+            {t('jobs.clearFinished')}
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2 max-h-80 overflow-y-auto">
+        {jobs.map((job) => (
+          <div key={job.id} className="bg-zinc-700 p-3 rounded-lg">
+            <div className="flex items-center justify-between gap-3">
+              <div className="flex items-center gap-3 min-w-0">
+                <span className="text-xl">{getFileIcon(job.fileName)}</span>
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{job.fileName}</div>
+                  <div className="text-xs text-zinc-400">
+                    {t('jobs.started', { date: formatDate(job.createdAt) })}
+                  </div>
+                </div>
+              </div>
+              <span className={`text-sm shrink-0 ${STATUS_STYLES[job.status] || 'text-zinc-400'}`}>
+                {STATUS_STYLES[job.status] ? t(`jobs.status.${job.status}`) : job.status}
+              </span>
+            </div>
+            {job.status !== 'failed' && <StageSteps job={job} />}
+            {job.status === 'failed' && getJobErrorMessage(job, locale) && (
+              <div className="text-sm text-red-300 mt-2">{getJobErrorMessage(job, locale)}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useEffect, useRef } from 'react';
+import useTranslation from '@/hooks/useTranslation';
+import { SHORTCUTS, getShortcutKeys, isMacPlatform } from '@/lib/shortcuts';
+
+// Modal list of the chat keyboard shortcuts. Focus moves into the dialog
+// while it's open and goes back to where it was on close.
+export default function ShortcutsHelp({ onClose }) {
+  const { t } = useTranslation();
+  const closeButtonRef = useRef(null);
+  const isMac = isMacPlatform();
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    closeButtonRef.current?.focus();
+    return () => previousFocus?.focus?.();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+    // The close button is the only control, so keep focus on it
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      closeButtonRef.current?.focus();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-help-title"
+        onKeyDown={handleKeyDown}
+        className="w-full max-w-md bg-zinc-800 border border-zinc-600 rounded-lg shadow-lg"
+      >
+        <div className="p-4 border-b border-zinc-700 flex items-center justify-between">
+          <h2 id="shortcuts-help-title" className="text-lg font-semibold">{t('shortcuts.title')}</h2>
+          <button
+            ref={closeButtonRef}
+            onClick={onClose}
+            aria-label={t('common.close')}
+            className="text-zinc-400 hover:text-white text-xl w-8 h-8 flex items-center justify-center rounded-lg hover:bg-zinc-700 focus:outline-none focus:ring-2 focus:ring-sky-500"
+          >
+            ×
+          </button>
+        </div>
+        <dl className="p-4 space-y-3 text-sm">
+          {SHORTCUTS.map(shortcut => (
+            <div key={shortcut.id} className="flex items-center justify-between gap-4">
+              <dt className="text-zinc-300">{t(`shortcuts.${shortcut.id}`)}</dt>
+              <dd className="flex gap-1 shrink-0" dir="ltr">
+                {getShortcutKeys(shortcut, isMac).map(key => (
+                  <kbd key={key} className="px-2 py-0.5 rounded border border-zinc-600 bg-zinc-900 text-xs font-mono">
+                    {key}
+                  </kbd>
+                ))}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
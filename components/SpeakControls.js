@@ -0,0 +1,31 @@
+import useTranslation from '@/hooks/useTranslation';
+
+const buttonClass = 'text-xs text-zinc-300 hover:text-white opacity-60 hover:opacity-100 transition-opacity';
+
+// Read-aloud buttons for one answer: Listen, or Pause/Resume and Stop while it plays
+export default function SpeakControls({ playing, paused, onPlay, onPause, onResume, onStop }) {
+  const { t } = useTranslation();
+
+  if (!playing) {
+    return (
+      <button onClick={onPlay} className={buttonClass} aria-label={t('voice.readAloud')} title={t('voice.readAloud')}>
+        {t('voice.listen')}
+      </button>
+    );
+  }
+
+  return (
+    <>
+      <button
+        onClick={paused ? onResume : onPause}
+        className={buttonClass}
+        aria-label={paused ? t('voice.resumeReading') : t('voice.pauseReading')}
+      >
+        {paused ? t('voice.resume') : t('voice.pause')}
+      </button>
+      <button onClick={onStop} className={buttonClass} aria-label={t('voice.stopReading')}>
+        {t('common.stop')}
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,122 @@
+import { useState, useRef } from 'react';
+import { VOICE_LANGUAGES, SPEECH_RATES, SILENCE_TIMEOUTS_SECONDS, sortVoices } from '@/lib/voiceSettings';
+import { getVoiceCommands } from '@/lib/voiceCommands';
+import useTranslation from '@/hooks/useTranslation';
+import useClickOutside from '@/hooks/useClickOutside';
+
+const selectClass = 'w-full bg-zinc-700 text-white border border-zinc-600 rounded-lg p-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-sky-500';
+
+// Dropdown for dictation (language, hands-free mode, silence timeout) and
+// read-aloud (voice, speed, auto-read)
+export default function VoiceMenu({ settings, onChange, voices, canListen, canSpeak, className = '' }) {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useClickOutside(menuRef, () => setOpen(false), open);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={className}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+      >
+        {t('voice.menu')}
+      </button>
+      {open && (
+        <div
+          role="dialog"
+          aria-label={t('voice.settings')}
+          className="absolute top-full mt-1 end-0 z-10 w-64 p-3 space-y-3 bg-zinc-800 border border-zinc-600 rounded-lg shadow-lg text-sm"
+        >
+          <label className="block">
+            <span className="block text-zinc-400 mb-1">{t('voice.language')}</span>
+            <select
+              value={settings.language}
+              onChange={(e) => onChange({ language: e.target.value, voiceURI: null })}
+              className={selectClass}
+            >
+              {VOICE_LANGUAGES.map(language => (
+                <option key={language.id} value={language.id}>{language.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {canListen && (
+            <>
+              <label className="flex items-center gap-2 text-zinc-300 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={settings.handsFree}
+                  onChange={(e) => onChange({ handsFree: e.target.checked })}
+                  className="accent-sky-600"
+                />
+                {t('voice.handsFree')}
+              </label>
+              {settings.handsFree && (
+                <p className="text-xs text-zinc-400">
+                  {t('voice.commandsHint', { commands: getVoiceCommands(settings.language).map(command => command.label).join(', ') })}
+                </p>
+              )}
+              <label className="block">
+                <span className="block text-zinc-400 mb-1">{t('voice.silenceTimeout')}</span>
+                <select
+                  value={settings.silenceTimeoutSeconds}
+                  onChange={(e) => onChange({ silenceTimeoutSeconds: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  {SILENCE_TIMEOUTS_SECONDS.map(seconds => (
+                    <option key={seconds} value={seconds}>{t('voice.seconds', { count: seconds })}</option>
+                  ))}
+                </select>
+              </label>
+            </>
+          )}
+
+          {canSpeak && (
+            <>
+              <label className="block">
+                <span className="block text-zinc-400 mb-1">{t('voice.readingVoice')}</span>
+                <select
+                  value={settings.voiceURI || ''}
+                  onChange={(e) => onChange({ voiceURI: e.target.value || null })}
+                  className={selectClass}
+                >
+                  <option value="">{t('voice.defaultVoice')}</option>
+                  {sortVoices(voices, settings.language).map(voice => (
+                    <option key={voice.voiceURI} value={voice.voiceURI}>
+                      {voice.name} ({voice.lang})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-zinc-400 mb-1">{t('voice.readingSpeed')}</span>
+                <select
+                  value={settings.rate}
+                  onChange={(e) => onChange({ rate: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  {SPEECH_RATES.map(rate => (
+                    <option key={rate} value={rate}>{rate}×</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2 text-zinc-300 cursor-pointer select-none">
+                <input
+                  type="checkbox"
+                  checked={settings.autoRead}
+                  onChange={(e) => onChange({ autoRead: e.target.checked })}
+                  className="accent-sky-600"
+                />
+                {t('voice.autoRead')}
+              </label>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
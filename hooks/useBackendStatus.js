@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  HEALTH_HISTORY_LIMIT,
+  HEALTH_CHANGES_LIMIT,
+  createHealthSample,
+  getHealthChanges,
+  getReadiness
+} from '@/lib/backendHealth';
+
+// Poll less often while things work, and often while waiting for a recovery
+const ONLINE_POLL_INTERVAL_MS = 30000;
+const OFFLINE_POLL_INTERVAL_MS = 5000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+// Whether the backend can be reached, from periodic /api/health checks and
+// the browser's online/offline events. `status` is 'checking', 'online' or
+// 'offline'; `readiness` also says whether the models and vectorstore are up
+// (see lib/backendHealth). `samples` and `changes` hold this page's recent
+// checks and state changes. `checkNow()` runs a check right away, e.g. after
+// a failed request.
+export default function useBackendStatus({ pollIntervalMs = ONLINE_POLL_INTERVAL_MS } = {}) {
+  const [history, setHistory] = useState({ samples: [], changes: [] });
+  const timerRef = useRef(null);
+  const checkingRef = useRef(false);
+  const unmountedRef = useRef(false);
+
+  const recordSample = useCallback((sample) => {
+    setHistory(prev => {
+      const changes = getHealthChanges(prev.samples, sample);
+      return {
+        samples: [...prev.samples, sample].slice(-HEALTH_HISTORY_LIMIT),
+        changes: [...prev.changes, ...changes].slice(-HEALTH_CHANGES_LIMIT)
+      };
+    });
+  }, []);
+
+  const checkNow = useCallback(async () => {
+    if (checkingRef.current) return;
+    checkingRef.current = true;
+    clearTimeout(timerRef.current);
+
+    let ok = false;
+    let health = null;
+    let latencyMs = null;
+    // No point asking the server while the browser knows it has no network
+    if (navigator.onLine !== false) {
+      const startedAt = performance.now();
+      try {
+        const response = await fetch('/api/health', {
+          cache: 'no-store',
+          signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS)
+        });
+        latencyMs = Math.round(performance.now() - startedAt);
+        ok = response.ok;
+        health = ok ? await response.json().catch(() => null) : null;
+      } catch {
+        ok = false;
+      }
+    }
+
+    checkingRef.current = false;
+    if (unmountedRef.current) return;
+    recordSample(createHealthSample({ checkedAt: new Date().toISOString(), ok, latencyMs, health }));
+    timerRef.current = setTimeout(checkNow, ok ? pollIntervalMs : Math.min(pollIntervalMs, OFFLINE_POLL_INTERVAL_MS));
+  }, [pollIntervalMs, recordSample]);
+
+  useEffect(() => {
+    unmountedRef.current = false;
+    checkNow();
+
+    const handleOnline = () => checkNow();
+    const handleOffline = () => recordSample(createHealthSample({ checkedAt: new Date().toISOString(), ok: false }));
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      unmountedRef.current = true;
+      clearTimeout(timerRef.current);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [checkNow, recordSample]);
+
+  const latest = history.samples[history.samples.length - 1] || null;
+  const status = !latest ? 'checking' : latest.ok ? 'online' : 'offline';
+
+  return {
+    status,
+    readiness: getReadiness(latest),
+    latest,
+    lastCheckedAt: latest?.checkedAt ?? null,
+    samples: history.samples,
+    changes: history.changes,
+    checkNow
+  };
+}
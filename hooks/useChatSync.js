@@ -0,0 +1,213 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { loadChatPages, saveChatPages } from '@/lib/chatStorage';
+import {
+  fetchServerPages,
+  putServerPage,
+  deleteServerPage,
+  loadPendingChanges,
+  setPendingChange,
+  clearPendingChange,
+  isMigrated,
+  markMigrated,
+  mergeServerPages
+} from '@/lib/chatSync';
+
+const FLUSH_DELAY_MS = 1000;
+const RETRY_DELAY_MS = 30000;
+
+const snapshot = (pages) => new Map(pages.map(page => [page.id, JSON.stringify(page)]));
+
+// Replace a page by id, or append it if this tab doesn't have it yet
+const upsertPage = (pages, page) =>
+  pages.some(p => p.id === page.id)
+    ? pages.map(p => (p.id === page.id ? page : p))
+    : [...pages, page];
+
+// Owns the chat pages and keeps them in the server store, with IndexedDB as
+// an offline cache. onPagesLoaded(pages, { final }) is called with the cached
+// pages first and again with the server's pages (final: true) once they
+// arrive, or with the cached pages (final: true) if the server can't be reached.
+//
+// Open tabs send each other page-level changes over a BroadcastChannel, so a
+// tab only ever overwrites the pages it changed itself. onRemoteChange(change,
+// pages) is called after another tab's `{ type: 'upsert', page }` or
+// `{ type: 'delete', pageId }` has been applied.
+export default function useChatSync({ userId, onPagesLoaded, onRemoteChange }) {
+  const [chatPages, setChatPages] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [syncState, setSyncState] = useState('idle');
+  // Latest state of each page known to every tab; local edits are diffed against it
+  const knownRef = useRef(new Map());
+  const pagesRef = useRef([]);
+  const channelRef = useRef(null);
+  const flushingRef = useRef(false);
+  const flushTimerRef = useRef(null);
+  const onPagesLoadedRef = useRef(onPagesLoaded);
+  const onRemoteChangeRef = useRef(onRemoteChange);
+
+  onPagesLoadedRef.current = onPagesLoaded;
+  onRemoteChangeRef.current = onRemoteChange;
+
+  const scheduleFlush = useCallback((delay) => {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = setTimeout(() => flushRef.current(), delay);
+  }, []);
+
+  // Send every pending change; stops at the first failure and retries later
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !userId) return;
+    flushingRef.current = true;
+    setSyncState('syncing');
+
+    try {
+      for (const [pageId, operation] of Object.entries(loadPendingChanges(userId))) {
+        if (operation === 'upsert') {
+          // Queued by another tab before its change reached this one
+          const page = pagesRef.current.find(p => p.id === pageId);
+          if (!page) continue;
+
+          const sent = JSON.stringify(page);
+          await putServerPage(page);
+          // Leave it pending if the page changed while the request was in flight
+          const current = pagesRef.current.find(p => p.id === pageId);
+          if (current && JSON.stringify(current) === sent) {
+            clearPendingChange(userId, pageId, 'upsert');
+          }
+        } else {
+          await deleteServerPage(pageId);
+          clearPendingChange(userId, pageId, 'delete');
+        }
+      }
+      setSyncState('synced');
+    } catch (error) {
+      console.error('Failed to sync chats:', error);
+      setSyncState('offline');
+      scheduleFlush(RETRY_DELAY_MS);
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [userId, scheduleFlush]);
+
+  const flushRef = useRef(flush);
+  flushRef.current = flush;
+
+  // Load from the cache, push unsent changes, then take the server's pages
+  useEffect(() => {
+    if (!userId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      const cachedPages = (await loadChatPages(userId)) || [];
+      if (cancelled) return;
+
+      if (!isMigrated(userId)) {
+        // First run against the server: upload every chat saved in this browser
+        cachedPages.forEach(page => setPendingChange(userId, page.id, 'upsert'));
+      }
+      pagesRef.current = cachedPages;
+      knownRef.current = snapshot(cachedPages);
+      setChatPages(cachedPages);
+      setLoaded(true);
+      onPagesLoadedRef.current(cachedPages, { final: false });
+
+      await flush();
+      try {
+        const serverPages = await fetchServerPages();
+        if (cancelled) return;
+
+        const pending = loadPendingChanges(userId);
+        if (Object.keys(pending).length === 0) {
+          markMigrated(userId);
+        }
+        const merged = mergeServerPages(serverPages, pagesRef.current, pending);
+        pagesRef.current = merged;
+        knownRef.current = snapshot(merged);
+        setChatPages(merged);
+        onPagesLoadedRef.current(merged, { final: true });
+      } catch (error) {
+        console.error('Failed to load chats from the server:', error);
+        setSyncState('offline');
+        if (!cancelled) onPagesLoadedRef.current(pagesRef.current, { final: true });
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      setLoaded(false);
+      clearTimeout(flushTimerRef.current);
+    };
+  }, [userId, flush]);
+
+  // Apply page changes made in other tabs
+  useEffect(() => {
+    if (!userId || typeof BroadcastChannel === 'undefined') return;
+
+    const channel = new BroadcastChannel(`chatPages:${userId}`);
+    channelRef.current = channel;
+
+    channel.onmessage = (event) => {
+      const change = event.data;
+      let nextPages;
+
+      if (change?.type === 'upsert' && change.page) {
+        knownRef.current.set(change.page.id, JSON.stringify(change.page));
+        nextPages = upsertPage(pagesRef.current, change.page);
+      } else if (change?.type === 'delete') {
+        knownRef.current.delete(change.pageId);
+        nextPages = pagesRef.current.filter(page => page.id !== change.pageId);
+      } else {
+        return;
+      }
+
+      pagesRef.current = nextPages;
+      setChatPages(nextPages);
+      onRemoteChangeRef.current?.(change, nextPages);
+    };
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [userId]);
+
+  // Cache every change locally, queue it for the server and tell other tabs
+  useEffect(() => {
+    if (!userId || !loaded) return;
+    pagesRef.current = chatPages;
+
+    // An empty list is saved too, so deleting the last chat clears the cache
+    saveChatPages(userId, chatPages);
+
+    const currentIds = new Set();
+    chatPages.forEach(page => {
+      currentIds.add(page.id);
+      const json = JSON.stringify(page);
+      if (knownRef.current.get(page.id) !== json) {
+        knownRef.current.set(page.id, json);
+        setPendingChange(userId, page.id, 'upsert');
+        channelRef.current?.postMessage({ type: 'upsert', page });
+      }
+    });
+    [...knownRef.current.keys()].forEach(pageId => {
+      if (!currentIds.has(pageId)) {
+        knownRef.current.delete(pageId);
+        setPendingChange(userId, pageId, 'delete');
+        channelRef.current?.postMessage({ type: 'delete', pageId });
+      }
+    });
+
+    if (Object.keys(loadPendingChanges(userId)).length > 0) {
+      scheduleFlush(FLUSH_DELAY_MS);
+    }
+  }, [chatPages, loaded, userId, scheduleFlush]);
+
+  // Retry right away when the browser comes back online
+  useEffect(() => {
+    const handleOnline = () => flushRef.current();
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, []);
+
+  return { chatPages, setChatPages, syncState };
+}
@@ -0,0 +1,17 @@
+import { useEffect, useRef } from 'react';
+
+// Calls onClickOutside when the mouse goes down outside `ref`'s element, while
+// `enabled` (e.g. a menu is open). Used to close dropdowns.
+export default function useClickOutside(ref, onClickOutside, enabled = true) {
+  const onClickOutsideRef = useRef(onClickOutside);
+  onClickOutsideRef.current = onClickOutside;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const handleMouseDown = (e) => {
+      if (!ref.current?.contains(e.target)) onClickOutsideRef.current();
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [ref, enabled]);
+}
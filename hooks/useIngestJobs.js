@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createJob, isJobActive, loadStoredJobs, saveStoredJobs, fetchJobStatus } from '@/lib/ingestJobs';
+
+const POLL_INTERVAL_MS = 2000;
+
+// Tracks ingestion jobs in localStorage and polls the ones still running
+export default function useIngestJobs() {
+  const [jobs, setJobs] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    setJobs(loadStoredJobs());
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (loaded) {
+      saveStoredJobs(jobs);
+    }
+  }, [jobs, loaded]);
+
+  // Polls read the latest jobs through a ref, so adding a job doesn't
+  // restart the polling loop
+  const jobsRef = useRef(jobs);
+  jobsRef.current = jobs;
+  const hasActiveJobs = jobs.some(isJobActive);
+
+  // One poll at a time: the next is scheduled only after the last one has
+  // been applied, so a slow response can't overwrite a newer one
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+
+    let cancelled = false;
+    let timeout;
+
+    const poll = async () => {
+      const activeJobs = jobsRef.current.filter(isJobActive);
+      const updates = await Promise.all(
+        activeJobs.map(job =>
+          fetchJobStatus(job).catch((error) => {
+            // Keep polling through transient network errors
+            console.error(`Failed to poll ingestion job ${job.id}:`, error);
+            return null;
+          })
+        )
+      );
+      if (cancelled) return;
+
+      const updatesById = new Map(updates.filter(Boolean).map(job => [job.id, job]));
+      if (updatesById.size > 0) {
+        // A job that finished while the poll ran keeps its final record
+        setJobs(prev => prev.map(job =>
+          (isJobActive(job) && updatesById.get(job.id)) || job
+        ));
+      }
+      timeout = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    timeout = setTimeout(poll, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [hasActiveJobs]);
+
+  const addJob = useCallback((jobId, fileName) => {
+    setJobs(prev => [createJob(jobId, fileName), ...prev.filter(job => job.id !== jobId)]);
+  }, []);
+
+  const clearFinishedJobs = useCallback(() => {
+    setJobs(prev => prev.filter(isJobActive));
+  }, []);
+
+  return { jobs, addJob, clearFinishedJobs };
+}
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import { isMacPlatform, matchShortcut } from '@/lib/shortcuts';
+
+// Calls `handlersRef.current[id]` when a shortcut from lib/shortcuts is
+// pressed. Handlers live in a ref so a page can set them after its early
+// returns. A handler can return false when it has nothing to do, so the key
+// keeps its normal behavior. Keys another handler already used are ignored.
+export default function useKeyboardShortcuts(handlersRef, { enabled = true } = {}) {
+  useEffect(() => {
+    if (!enabled) return;
+    const isMac = isMacPlatform();
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.isComposing) return;
+      const shortcut = matchShortcut(event, isMac);
+      const handler = shortcut && handlersRef.current?.[shortcut.id];
+      if (!handler) return;
+      if (handler(event) !== false) {
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handlersRef, enabled]);
+}
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// sessionStorage is per tab, so a question queued in one tab is never sent
+// twice by another, but it survives a reload
+const getStorageKey = (userId) => `queuedQuestions:${userId}`;
+
+const loadQueue = (userId) => {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(getStorageKey(userId)));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+// Questions waiting for the backend to come back, oldest first. Items are
+// `{ id, pageId, content, queuedAt }`.
+export default function useQuestionQueue(userId) {
+  const [queue, setQueue] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!userId) return;
+    setQueue(loadQueue(userId));
+    setLoaded(true);
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId || !loaded) return;
+    if (queue.length === 0) {
+      sessionStorage.removeItem(getStorageKey(userId));
+    } else {
+      sessionStorage.setItem(getStorageKey(userId), JSON.stringify(queue));
+    }
+  }, [queue, loaded, userId]);
+
+  const enqueue = useCallback((pageId, content) => {
+    setQueue(prev => [...prev, {
+      id: `${Date.now()}-${prev.length}`,
+      pageId,
+      content,
+      queuedAt: new Date().toISOString()
+    }]);
+  }, []);
+
+  const removeQueued = useCallback((id) => {
+    setQueue(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  return { queue, enqueue, removeQueued };
+}
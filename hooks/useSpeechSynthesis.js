@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getSpeakableText, splitIntoChunks } from '@/lib/voiceSettings';
+
+// Reads text aloud with the browser's speech synthesis. Only one text plays
+// at a time; `speakingId` is the id passed to speak() while it plays.
+export default function useSpeechSynthesis({ language, voiceURI, rate }) {
+  const [supported, setSupported] = useState(false);
+  const [voices, setVoices] = useState([]);
+  const [speakingId, setSpeakingId] = useState(null);
+  const [paused, setPaused] = useState(false);
+  // Bumped on every speak/stop so callbacks from cancelled utterances are ignored
+  const runRef = useRef(0);
+
+  useEffect(() => {
+    if (!('speechSynthesis' in window)) return;
+    setSupported(true);
+
+    // Chrome loads voices asynchronously
+    const loadVoices = () => setVoices(window.speechSynthesis.getVoices());
+    loadVoices();
+    window.speechSynthesis.addEventListener('voiceschanged', loadVoices);
+    return () => {
+      window.speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+      window.speechSynthesis.cancel();
+    };
+  }, []);
+
+  const stop = useCallback(() => {
+    runRef.current += 1;
+    if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+    setSpeakingId(null);
+    setPaused(false);
+  }, []);
+
+  const speak = useCallback((id, text) => {
+    if (!('speechSynthesis' in window)) return;
+    const chunks = splitIntoChunks(getSpeakableText(text));
+    stop();
+    if (chunks.length === 0) return;
+    // A cancelled queue stays paused in some browsers
+    window.speechSynthesis.resume();
+
+    const run = runRef.current;
+    const voice = voices.find(v => v.voiceURI === voiceURI) || null;
+    chunks.forEach((chunk, index) => {
+      const utterance = new SpeechSynthesisUtterance(chunk);
+      utterance.lang = voice?.lang || language;
+      utterance.voice = voice;
+      utterance.rate = rate;
+      if (index === chunks.length - 1) {
+        utterance.onend = () => {
+          if (runRef.current !== run) return;
+          setSpeakingId(null);
+          setPaused(false);
+        };
+      }
+      utterance.onerror = (event) => {
+        if (runRef.current !== run) return;
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+          console.error('Speech synthesis error:', event.error);
+        }
+        setSpeakingId(null);
+        setPaused(false);
+      };
+      window.speechSynthesis.speak(utterance);
+    });
+    setSpeakingId(id);
+  }, [voices, voiceURI, language, rate, stop]);
+
+  const pause = useCallback(() => {
+    window.speechSynthesis.pause();
+    setPaused(true);
+  }, []);
+
+  const resume = useCallback(() => {
+    window.speechSynthesis.resume();
+    setPaused(false);
+  }, []);
+
+  return { supported, voices, speakingId, paused, speak, pause, resume, stop };
+}
@@ -0,0 +1,7 @@
+import { useContext } from 'react';
+import { I18nContext } from '@/components/I18nProvider';
+
+// `{ t, locale, setLocale, dir, formatDate, formatSize }` for the current locale
+export default function useTranslation() {
+  return useContext(I18nContext);
+}
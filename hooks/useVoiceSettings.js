@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_VOICE_SETTINGS, loadVoiceSettings, saveVoiceSettings } from '@/lib/voiceSettings';
+
+// The signed-in user's voice preferences; updateSettings(changes) merges and saves
+export default function useVoiceSettings(userId) {
+  const [settings, setSettings] = useState(DEFAULT_VOICE_SETTINGS);
+
+  useEffect(() => {
+    if (!userId) return;
+    setSettings(loadVoiceSettings(userId));
+  }, [userId]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => {
+      const next = { ...prev, ...changes };
+      saveVoiceSettings(userId, next);
+      return next;
+    });
+  }, [userId]);
+
+  return [settings, updateSettings];
+}
@@ -0,0 +1,82 @@
+// Turns /api/health checks into samples for the status badge and the
+// /status dashboard. A sample is
+//   { checkedAt, ok, latencyMs, status, modelsInitialized, vectorstoreLoaded }
+// where `ok` is whether the backend answered at all.
+
+// Checks kept for the latency chart, and state changes kept for the log
+export const HEALTH_HISTORY_LIMIT = 120;
+export const HEALTH_CHANGES_LIMIT = 50;
+
+export const READINESS_LABELS = {
+  checking: 'Connecting',
+  offline: 'Offline',
+  not_ready: 'Not ready',
+  ready: 'Ready'
+};
+
+// The parts of a sample whose changes are logged, and how to describe them
+const TRACKED_FIELDS = [
+  { key: 'ok', label: 'Server', describe: (value) => (value ? 'Reachable' : 'Unreachable') },
+  { key: 'modelsInitialized', label: 'Models', describe: (value) => (value ? 'Ready' : 'Not ready') },
+  { key: 'vectorstoreLoaded', label: 'Vectorstore', describe: (value) => (value ? 'Loaded' : 'Empty') }
+];
+
+export const createHealthSample = ({ checkedAt, ok, latencyMs, health }) => ({
+  checkedAt,
+  ok,
+  latencyMs: ok ? latencyMs : null,
+  status: ok ? health?.status ?? null : null,
+  modelsInitialized: ok && Boolean(health?.models_initialized),
+  vectorstoreLoaded: ok && Boolean(health?.vectorstore_loaded)
+});
+
+// 'ready' only when answers can be given: reachable, models up and documents loaded
+export const getReadiness = (sample) => {
+  if (!sample) return 'checking';
+  if (!sample.ok) return 'offline';
+  return sample.modelsInitialized && sample.vectorstoreLoaded ? 'ready' : 'not_ready';
+};
+
+// `[{ at, field, label, value, description }]` for each tracked field that
+// `sample` changes compared to the earlier `samples`. Models and vectorstore
+// are unknown while the server is unreachable, so they are compared with the
+// last check that got an answer. The first sample logs nothing.
+export const getHealthChanges = (samples, sample) => {
+  const previous = samples[samples.length - 1];
+  if (!previous) return [];
+  const previousReachable = [...samples].reverse().find(entry => entry.ok);
+
+  return TRACKED_FIELDS
+    .filter(field => {
+      if (field.key === 'ok') return previous.ok !== sample.ok;
+      return sample.ok && previousReachable && previousReachable[field.key] !== sample[field.key];
+    })
+    .map(field => ({
+      at: sample.checkedAt,
+      field: field.key,
+      label: field.label,
+      value: sample[field.key],
+      description: field.describe(sample[field.key])
+    }));
+};
+
+// When `field` last took its current value: the latest logged change, or
+// the first sample if it hasn't changed since checks started
+export const getFieldSince = (samples, changes, field) => {
+  const change = [...changes].reverse().find(entry => entry.field === field);
+  return change ? change.at : samples[0]?.checkedAt ?? null;
+};
+
+export const describeHealthField = (field, value) =>
+  TRACKED_FIELDS.find(entry => entry.key === field)?.describe(value) ?? String(value);
+
+// `{ last, average, max }` latency in ms over the successful checks
+export const getLatencyStats = (samples) => {
+  const latencies = samples.filter(sample => sample.ok).map(sample => sample.latencyMs);
+  if (latencies.length === 0) return null;
+  return {
+    last: latencies[latencies.length - 1],
+    average: Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+    max: Math.max(...latencies)
+  };
+};
@@ -0,0 +1,216 @@
+// Export chat pages as Markdown, JSON or a printable PDF, and import JSON
+// exports back. JSON keeps everything a page holds (timestamps, `context`,
+// every branch), so an exported chat can be imported without losing its
+// citations. Markdown and PDF show the branch currently selected.
+
+import { getCitations, getContextText } from '@/lib/citations';
+import { getActivePath } from '@/lib/messageTree';
+import { DEFAULT_LOCALE, translate, formatDateTime, getTextDirection } from '@/lib/i18n';
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const ROLES = ['user', 'assistant', 'error'];
+
+const getRoleLabel = (type, locale) =>
+  ROLES.includes(type) ? translate(locale, `export.role.${type}`) : type;
+
+const formatCitation = (citation) =>
+  `[${citation.number}] ${citation.document}${citation.location ? `, ${citation.location}` : ''}`;
+
+// Streaming flags only make sense while the answer is being received
+const cleanMessages = (messages) =>
+  (messages || []).map(({ streaming, ...message }) => message);
+
+// File names like `chat-leave-policy-2024-05-01.md`
+export const getExportFileName = (pages, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  if (pages.length !== 1) return `chats-${date}.${extension}`;
+
+  const slug = pages[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `chat-${slug || 'untitled'}-${date}.${extension}`;
+};
+
+// Labels, dates and citations are worded in `locale`
+export const chatsToMarkdown = (pages, locale = DEFAULT_LOCALE) =>
+  pages.map(page => {
+    const lines = [`# ${page.title}`, ''];
+    if (page.createdAt) {
+      lines.push(`_${translate(locale, 'export.created', { date: formatDateTime(page.createdAt, locale) })}_`, '');
+    }
+
+    cleanMessages(getActivePath(page)).forEach(message => {
+      lines.push(`**${getRoleLabel(message.type, locale)}** · ${formatDateTime(message.timestamp, locale)}`, '');
+      lines.push(message.content || '', '');
+
+      const citations = getCitations(message.context, locale);
+      if (citations) {
+        lines.push(translate(locale, 'export.sources'), '');
+        citations.forEach(citation => lines.push(`- ${formatCitation(citation)}`));
+        lines.push('');
+      }
+      const contextText = getContextText(message.context);
+      if (contextText) {
+        lines.push(contextText.split('\n').map(line => `> ${line}`).join('\n'), '');
+      }
+    });
+    return lines.join('\n').trimEnd();
+  }).join('\n\n---\n\n') + '\n';
+
+export const chatsToJson = (pages) =>
+  JSON.stringify({
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    pages: pages.map(page => ({ ...page, messages: cleanMessages(page.messages) }))
+  }, null, 2);
+
+export const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+const chatsToHtml = (pages, locale) => {
+  const body = pages.map(page => {
+    const messages = cleanMessages(getActivePath(page)).map(message => {
+      const citations = getCitations(message.context, locale);
+      const sources = citations
+        ? `<ul class="sources">${citations.map(citation => `<li>${escapeHtml(formatCitation(citation))}</li>`).join('')}</ul>`
+        : '';
+      return `
+        <div class="message ${escapeHtml(message.type)}">
+          <div class="meta">${escapeHtml(getRoleLabel(message.type, locale))} · ${escapeHtml(formatDateTime(message.timestamp, locale))}</div>
+          <div class="content">${escapeHtml(message.content)}</div>
+          ${sources}
+        </div>`;
+    }).join('');
+    return `<section><h1>${escapeHtml(page.title)}</h1>${messages}</section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${getTextDirection(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(pages.length === 1 ? pages[0].title : translate(locale, 'export.allChats'))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 2rem; }
+  section + section { page-break-before: always; }
+  h1 { font-size: 1.4rem; border-bottom: 1px solid #ccc; padding-bottom: 0.5rem; }
+  .message { margin: 1rem 0; padding: 0.75rem; border-radius: 6px; page-break-inside: avoid; }
+  .message.user { background: #e0f2fe; }
+  .message.assistant { background: #f4f4f5; }
+  .message.error { background: #fee2e2; }
+  .meta { font-size: 0.75rem; color: #555; margin-bottom: 0.25rem; }
+  .content { white-space: pre-wrap; }
+  .sources { font-size: 0.8rem; color: #444; margin: 0.5rem 0 0; }
+</style>
+</head>
+<body>${body}</body>
+</html>`;
+};
+
+// Print through a hidden frame so the browser's "Save as PDF" can be used
+// without a popup window
+export const printChats = (pages, locale = DEFAULT_LOCALE) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Printing blocks until the dialog closes in most browsers
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = chatsToHtml(pages, locale);
+};
+
+const MESSAGE_TYPES = ['user', 'assistant', 'error'];
+
+const hasUsableId = (value) => typeof value === 'string' || typeof value === 'number';
+
+// Ids may be missing (they are filled in below), anything else must be usable
+// as is
+const isValidImportedMessage = (message) =>
+  message !== null && typeof message === 'object' && !Array.isArray(message) &&
+  MESSAGE_TYPES.includes(message.type) &&
+  typeof message.content === 'string' &&
+  (message.id === undefined || message.id === null || hasUsableId(message.id));
+
+const isValidImportedPage = (page) =>
+  page !== null && typeof page === 'object' && !Array.isArray(page) &&
+  (page.messages === undefined || (Array.isArray(page.messages) && page.messages.every(isValidImportedMessage)));
+
+// Messages without an id get one, since the branch tree is built from ids
+const assignMissingMessageIds = (messages, baseId) => {
+  const takenIds = new Set(messages.filter(message => hasUsableId(message.id)).map(message => String(message.id)));
+  return messages.map((message, index) => {
+    if (hasUsableId(message.id)) return message;
+    let id = `${baseId}-${index}`;
+    while (takenIds.has(id)) id += '-1';
+    takenIds.add(id);
+    return { ...message, id };
+  });
+};
+
+// Check pages from outside this browser's chats (an export, or an old cache)
+// and make them ready to append to `existingPages`. Pages whose id is already
+// taken get a new one. Errors are worded in `locale`.
+export const importChatPages = (pages, existingPages, locale = DEFAULT_LOCALE) => {
+  if (!pages.every(isValidImportedPage)) {
+    throw new Error(translate(locale, 'import.malformed'));
+  }
+
+  const takenIds = new Set(existingPages.map(page => page.id));
+  const baseId = Date.now();
+
+  return pages.map((page, index) => {
+    let id = page.id !== undefined && page.id !== null ? String(page.id) : '';
+    if (!id || takenIds.has(id)) {
+      id = `${baseId + index}`;
+      while (takenIds.has(id)) id += '-1';
+    }
+    takenIds.add(id);
+
+    return {
+      historyEnabled: true,
+      createdAt: new Date().toISOString(),
+      ...page,
+      id,
+      title: typeof page.title === 'string' && page.title ? page.title : translate(locale, 'import.untitled'),
+      messages: assignMissingMessageIds(cleanMessages(page.messages), baseId + index)
+    };
+  });
+};
+
+// Parse a JSON export (or a bare array of pages) with importChatPages
+export const parseChatImport = (text, existingPages, locale = DEFAULT_LOCALE) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(translate(locale, 'import.invalidJson'));
+  }
+
+  const pages = Array.isArray(data) ? data : data?.pages;
+  if (!Array.isArray(pages)) {
+    throw new Error(translate(locale, 'import.noPages'));
+  }
+  return importChatPages(pages, existingPages, locale);
+};
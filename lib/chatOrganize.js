@@ -0,0 +1,65 @@
+// Sidebar organization for chat pages. Pages may carry:
+//   pinned: true          shown in the Pinned section at the top
+//   folder: 'HR tickets'  shown under that folder
+//   deletedAt: ISO date   in the trash; restorable until purged
+// Everything else is grouped by when the chat was last active.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Title of a chat until its first question names it. It is stored as is and
+// shown translated.
+export const DEFAULT_CHAT_TITLE = 'New Chat';
+
+export const isUntitled = (page) => page.title === DEFAULT_CHAT_TITLE;
+
+export const isTrashed = (page) => Boolean(page.deletedAt);
+
+// Time of the newest message, falling back to when the page was created
+export const getLastActivity = (page) => {
+  const messages = page.messages || [];
+  const timestamp = messages.length > 0 ? messages[messages.length - 1].timestamp : page.createdAt;
+  const time = new Date(timestamp || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+const getDateGroup = (time, now) => {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  if (time >= startOfToday.getTime()) return 'Today';
+  if (time >= now - 7 * DAY_MS) return 'Last 7 days';
+  return 'Older';
+};
+
+const DATE_GROUPS = ['Today', 'Last 7 days', 'Older'];
+
+export const getFolders = (pages) =>
+  [...new Set(pages.filter(page => !isTrashed(page) && page.folder).map(page => page.folder))]
+    .sort((a, b) => a.localeCompare(b));
+
+// Returns `[{ id, label, pages }]` sections in display order, skipping empty
+// ones. Pages within a section are newest first.
+export const groupChatPages = (pages, now = Date.now()) => {
+  const byActivity = pages
+    .filter(page => !isTrashed(page))
+    .sort((a, b) => getLastActivity(b) - getLastActivity(a));
+
+  const sections = [{ id: 'pinned', label: 'Pinned', pages: byActivity.filter(page => page.pinned) }];
+  const unpinned = byActivity.filter(page => !page.pinned);
+
+  getFolders(unpinned).forEach(folder => {
+    sections.push({ id: `folder:${folder}`, label: folder, folder, pages: unpinned.filter(page => page.folder === folder) });
+  });
+  DATE_GROUPS.forEach(group => {
+    sections.push({
+      id: `date:${group}`,
+      label: group,
+      pages: unpinned.filter(page => !page.folder && getDateGroup(getLastActivity(page), now) === group)
+    });
+  });
+
+  return sections.filter(section => section.pages.length > 0);
+};
+
+// Most recently deleted first
+export const getTrashedPages = (pages) =>
+  pages.filter(isTrashed).sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
@@ -0,0 +1,93 @@
+// Full-text search over every message of every chat page. The index is a
+// flat list of messages with their lower-cased text, rebuilt when the pages
+// change; a query matches messages containing all of its words.
+
+const SNIPPET_LENGTH = 140;
+const MAX_RESULTS = 50;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getTerms = (query) =>
+  [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+const countOccurrences = (text, term) => {
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1) {
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return count;
+};
+
+// Records that don't have string content are skipped rather than allowed to
+// break the whole chat page
+export const buildSearchIndex = (pages) =>
+  pages.flatMap((page, pageIndex) =>
+    (page.messages || [])
+      .filter(message => typeof message?.content === 'string' && message.content && message.type !== 'error')
+      .map((message, messageIndex) => ({
+        pageId: page.id,
+        pageTitle: page.title,
+        pageIndex,
+        messageIndex,
+        messageId: message.id,
+        type: message.type,
+        text: message.content,
+        lowerText: message.content.toLowerCase(),
+        lowerTitle: (typeof page.title === 'string' ? page.title : '').toLowerCase()
+      }))
+  );
+
+// Split the text around the first match into `{ text, match }` segments
+const buildSnippet = (entry, terms) => {
+  const firstMatch = Math.min(...terms.map(term => entry.lowerText.indexOf(term)).filter(index => index !== -1));
+  const start = Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(entry.text.length, start + SNIPPET_LENGTH);
+
+  let text = entry.text.slice(start, end).replace(/\s+/g, ' ');
+  if (start > 0) text = `…${text}`;
+  if (end < entry.text.length) text = `${text}…`;
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+// Ranked by exact phrase matches, then how often the words appear (capped so
+// one long answer doesn't drown out the rest), then newest first
+export const searchChats = (index, query) => {
+  const terms = getTerms(query);
+  if (terms.length === 0) return [];
+  const phrase = query.trim().toLowerCase();
+
+  const results = [];
+  index.forEach(entry => {
+    let score = 0;
+    for (const term of terms) {
+      const count = countOccurrences(entry.lowerText, term);
+      if (count === 0) return;
+      score += Math.min(count, 5);
+    }
+    if (terms.length > 1 && entry.lowerText.includes(phrase)) score += 10;
+    if (terms.every(term => entry.lowerTitle.includes(term))) score += 2;
+    results.push({ entry, score });
+  });
+
+  return results
+    .sort((a, b) =>
+      b.score - a.score ||
+      b.entry.pageIndex - a.entry.pageIndex ||
+      b.entry.messageIndex - a.entry.messageIndex
+    )
+    .slice(0, MAX_RESULTS)
+    .map(({ entry }) => ({
+      pageId: entry.pageId,
+      pageTitle: entry.pageTitle,
+      messageId: entry.messageId,
+      type: entry.type,
+      snippet: buildSnippet(entry, terms)
+    }));
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { buildSearchIndex, searchChats } from '@/lib/chatSearch';
+
+const message = (id, content, type = 'user') => ({ id, type, content });
+
+const search = (pages, query) => searchChats(buildSearchIndex(pages), query);
+
+describe('buildSearchIndex', () => {
+  it('indexes user and assistant messages, but not errors', () => {
+    const index = buildSearchIndex([{
+      id: 'p1',
+      title: 'Leave',
+      messages: [message(1, 'Question'), message(2, 'Answer', 'assistant'), message(3, 'Failed', 'error')]
+    }]);
+
+    expect(index.map(entry => entry.messageId)).toEqual([1, 2]);
+    expect(index[0]).toMatchObject({ pageId: 'p1', pageTitle: 'Leave', lowerText: 'question', lowerTitle: 'leave' });
+  });
+
+  it('skips records without string content instead of failing', () => {
+    const index = buildSearchIndex([{
+      id: 'p1',
+      title: 42,
+      messages: [null, message(1, 42), message(2, { text: 'x' }), message(3, ''), message(4, 'Fine')]
+    }, { id: 'p2' }]);
+
+    expect(index.map(entry => entry.messageId)).toEqual([4]);
+    expect(index[0].lowerTitle).toBe('');
+  });
+});
+
+describe('searchChats', () => {
+  it('returns nothing for an empty query', () => {
+    expect(search([{ id: 'p1', title: 'A', messages: [message(1, 'text')] }], '   ')).toEqual([]);
+  });
+
+  it('only matches messages containing every word, in any case', () => {
+    const pages = [{
+      id: 'p1',
+      title: 'Chat',
+      messages: [message(1, 'Annual leave policy'), message(2, 'Sick leave'), message(3, 'Policy on LEAVE carry-over')]
+    }];
+
+    expect(search(pages, 'leave POLICY').map(result => result.messageId)).toEqual([1, 3]);
+  });
+
+  it('ranks an exact phrase above scattered words', () => {
+    const pages = [{
+      id: 'p1',
+      title: 'Chat',
+      messages: [message(1, 'leave is covered by the policy'), message(2, 'the leave policy says')]
+    }];
+
+    expect(search(pages, 'leave policy').map(result => result.messageId)).toEqual([2, 1]);
+  });
+
+  it('ranks more occurrences higher, up to a cap', () => {
+    const pages = [{
+      id: 'p1',
+      title: 'Chat',
+      messages: [
+        message(1, 'leave'),
+        message(2, 'leave leave leave'),
+        message(3, Array(5).fill('leave').join(' ')),
+        message(4, Array(20).fill('leave').join(' '))
+      ]
+    }];
+
+    // 4 and 3 are both capped, so the newer one comes first
+    expect(search(pages, 'leave').map(result => result.messageId)).toEqual([4, 3, 2, 1]);
+  });
+
+  it('boosts messages from chats whose title has the words', () => {
+    const pages = [
+      { id: 'p1', title: 'Benefits', messages: [message(1, 'pension details')] },
+      { id: 'p2', title: 'Other', messages: [message(2, 'pension details')] }
+    ];
+
+    expect(search(pages, 'benefits').map(result => result.messageId)).toEqual([]);
+    expect(search(pages, 'pension').map(result => result.pageId)).toEqual(['p2', 'p1']);
+
+    pages[0].title = 'Pension';
+    expect(search(pages, 'pension').map(result => result.pageId)).toEqual(['p1', 'p2']);
+  });
+
+  it('breaks ties by newest chat, then newest message', () => {
+    const pages = [
+      { id: 'old', title: 'A', messages: [message(1, 'budget'), message(2, 'budget')] },
+      { id: 'new', title: 'B', messages: [message(3, 'budget')] }
+    ];
+
+    expect(search(pages, 'budget').map(result => result.messageId)).toEqual([3, 2, 1]);
+  });
+
+  it('returns at most 50 results', () => {
+    const pages = [{ id: 'p1', title: 'A', messages: Array.from({ length: 60 }, (_, i) => message(i, 'match')) }];
+
+    expect(search(pages, 'match')).toHaveLength(50);
+  });
+
+  it('builds a snippet around the first match with the words marked', () => {
+    const text = `${'a'.repeat(100)} The Leave policy ${'b'.repeat(200)}`;
+    const [result] = search([{ id: 'p1', title: 'A', messages: [message(1, text)] }], 'leave');
+
+    expect(result.snippet[0].text.startsWith('…')).toBe(true);
+    expect(result.snippet[result.snippet.length - 1].text.endsWith('…')).toBe(true);
+    expect(result.snippet.filter(part => part.match).map(part => part.text)).toEqual(['Leave']);
+  });
+
+  it('treats regular expression characters in the query literally', () => {
+    const pages = [{ id: 'p1', title: 'A', messages: [message(1, 'costs (net) are $5.00')] }];
+
+    const [result] = search(pages, '(net) $5.00');
+    expect(result.snippet.filter(part => part.match).map(part => part.text)).toEqual(['(net)', '$5.00']);
+  });
+});
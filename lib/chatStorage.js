@@ -0,0 +1,255 @@
+// Offline cache of chat pages in IndexedDB, one record per page per user.
+// Only pages that changed are rewritten, records carry a schema version that
+// is migrated on read, and unreadable records are set aside instead of
+// breaking the page. Chats from the old per-user localStorage cache are moved
+// over automatically.
+
+const DB_NAME = 'document-chat';
+const DB_VERSION = 1;
+const PAGES_STORE = 'chatPages';
+const CORRUPT_STORE = 'corruptRecords';
+
+// Bump this and add a migration when the shape of a saved page changes
+const PAGE_SCHEMA_VERSION = 1;
+
+// PAGE_MIGRATIONS[n] upgrades a page from schema version n - 1 to n.
+// Version 0 is a page as it was saved in localStorage.
+const PAGE_MIGRATIONS = {
+  1: (page) => ({
+    ...page,
+    id: String(page.id),
+    title: typeof page.title === 'string' ? page.title : 'New Chat',
+    messages: Array.isArray(page.messages) ? page.messages : []
+  })
+};
+
+// Chats cached before sign-in existed aren't tied to any user. They are never
+// moved over automatically, since on a shared browser they may be someone
+// else's; the signed-in user is asked whether to claim them.
+const UNCLAIMED_STORAGE_KEY = 'chatPages';
+const getLocalStorageKey = (userId) => `chatPages:${userId}`;
+
+const getRecordKey = (userId, pageId) => `${userId}:${pageId}`;
+
+// What was last written per user, so saves only touch changed pages
+const writtenSnapshots = new Map();
+
+// Saves run one at a time so each one diffs against what the last one wrote
+let saveQueue = Promise.resolve();
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PAGES_STORE)) {
+          const store = db.createObjectStore(PAGES_STORE, { keyPath: 'key' });
+          store.createIndex('userId', 'userId');
+        }
+        if (!db.objectStoreNames.contains(CORRUPT_STORE)) {
+          db.createObjectStore(CORRUPT_STORE, { autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `work(stores)` in one transaction and resolve when it commits
+const runTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    let result;
+    Promise.resolve(work(stores)).then((value) => { result = value; }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+const isValidPage = (page) =>
+  page && typeof page === 'object' && page.id !== undefined && page.id !== null;
+
+// Bring a stored page up to the current schema, or return null if it can't be read
+const migratePage = (page, fromVersion) => {
+  if (!isValidPage(page) || !(fromVersion >= 0) || fromVersion > PAGE_SCHEMA_VERSION) {
+    return null;
+  }
+  let migrated = page;
+  for (let version = fromVersion + 1; version <= PAGE_SCHEMA_VERSION; version++) {
+    migrated = PAGE_MIGRATIONS[version](migrated);
+  }
+  return migrated;
+};
+
+const quarantine = (corruptStore, userId, value, reason) => {
+  console.warn(`Setting aside unreadable chat data (${reason})`);
+  corruptStore.add({ userId, value, reason, savedAt: new Date().toISOString() });
+};
+
+const toRecord = (userId, page, order) => ({
+  key: getRecordKey(userId, page.id),
+  userId,
+  order,
+  schemaVersion: PAGE_SCHEMA_VERSION,
+  page
+});
+
+// Move the user's chats from the old localStorage cache into IndexedDB
+const migrateFromLocalStorage = async (userId) => {
+  const key = getLocalStorageKey(userId);
+  const saved = localStorage.getItem(key);
+  if (!saved) return null;
+
+  const pages = await runTransaction([PAGES_STORE, CORRUPT_STORE], 'readwrite', (stores) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(saved);
+    } catch {
+      quarantine(stores[CORRUPT_STORE], userId, saved, 'localStorage data is not valid JSON');
+      return [];
+    }
+    if (!Array.isArray(parsed)) {
+      quarantine(stores[CORRUPT_STORE], userId, saved, 'localStorage data is not a list of pages');
+      return [];
+    }
+
+    const migrated = [];
+    parsed.forEach((page) => {
+      const upgraded = migratePage(page, 0);
+      if (upgraded) {
+        migrated.push(upgraded);
+      } else {
+        quarantine(stores[CORRUPT_STORE], userId, page, 'localStorage page is malformed');
+      }
+    });
+    migrated.forEach((page, order) => stores[PAGES_STORE].put(toRecord(userId, page, order)));
+    return migrated;
+  });
+
+  localStorage.removeItem(key);
+  return pages;
+};
+
+// Returns the user's cached pages in order, or null if there are none yet
+export const loadChatPages = async (userId) => {
+  try {
+    const records = await runTransaction([PAGES_STORE], 'readonly', (stores) =>
+      requestToPromise(stores[PAGES_STORE].index('userId').getAll(userId))
+    );
+
+    if (records.length === 0) {
+      const migrated = await migrateFromLocalStorage(userId);
+      writtenSnapshots.set(userId, new Map((migrated || []).map(page => [page.id, JSON.stringify(page)])));
+      return migrated && migrated.length > 0 ? migrated : null;
+    }
+
+    const pages = [];
+    const upgraded = [];
+    const corrupt = [];
+    records
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .forEach((record) => {
+        const page = migratePage(record.page, record.schemaVersion);
+        if (!page) {
+          corrupt.push(record);
+          return;
+        }
+        pages.push(page);
+        if (record.schemaVersion !== PAGE_SCHEMA_VERSION) {
+          upgraded.push(page);
+        }
+      });
+
+    if (upgraded.length > 0 || corrupt.length > 0) {
+      await runTransaction([PAGES_STORE, CORRUPT_STORE], 'readwrite', (stores) => {
+        corrupt.forEach((record) => {
+          quarantine(stores[CORRUPT_STORE], userId, record, 'stored page is malformed');
+          stores[PAGES_STORE].delete(record.key);
+        });
+        upgraded.forEach((page) => {
+          stores[PAGES_STORE].put(toRecord(userId, page, pages.indexOf(page)));
+        });
+      });
+    }
+
+    writtenSnapshots.set(userId, new Map(pages.map(page => [page.id, JSON.stringify(page)])));
+    return pages.length > 0 ? pages : null;
+  } catch (error) {
+    console.error('Failed to load cached chats:', error);
+    return null;
+  }
+};
+
+const writeChangedPages = async (userId, pages) => {
+  const previous = writtenSnapshots.get(userId) || new Map();
+  const next = new Map(pages.map(page => [page.id, JSON.stringify(page)]));
+  const previousOrder = [...previous.keys()];
+  const orderChanged = pages.some((page, index) => index < previousOrder.length && previousOrder[index] !== page.id);
+
+  try {
+    await runTransaction([PAGES_STORE], 'readwrite', (stores) => {
+      pages.forEach((page, order) => {
+        if (!orderChanged && previous.get(page.id) === next.get(page.id)) return;
+        stores[PAGES_STORE].put(toRecord(userId, page, order));
+      });
+      previous.forEach((_, pageId) => {
+        if (!next.has(pageId)) {
+          stores[PAGES_STORE].delete(getRecordKey(userId, pageId));
+        }
+      });
+    });
+    writtenSnapshots.set(userId, next);
+    return true;
+  } catch (error) {
+    if (error?.name === 'QuotaExceededError') {
+      console.warn('Chat cache is full; chats are still saved on the server.');
+    } else {
+      console.error('Failed to cache chats:', error);
+    }
+    return false;
+  }
+};
+
+// Write pages that changed since the last save and delete removed ones.
+// Resolves to false if the cache couldn't be written (e.g. quota exceeded).
+export const saveChatPages = (userId, pages) => {
+  const save = saveQueue.then(() => writeChangedPages(userId, pages));
+  saveQueue = save;
+  return save;
+};
+
+// Readable pages from the pre-sign-in cache, or null if there are none
+export const loadUnclaimedChatPages = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNCLAIMED_STORAGE_KEY));
+    if (!Array.isArray(saved)) return null;
+    const pages = saved.map(page => migratePage(page, 0)).filter(Boolean);
+    return pages.length > 0 ? pages : null;
+  } catch {
+    return null;
+  }
+};
+
+export const discardUnclaimedChatPages = () => {
+  localStorage.removeItem(UNCLAIMED_STORAGE_KEY);
+};
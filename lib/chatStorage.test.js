@@ -0,0 +1,214 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  loadChatPages,
+  saveChatPages,
+  loadUnclaimedChatPages,
+  discardUnclaimedChatPages
+} from '@/lib/chatStorage';
+
+// The module keeps one connection and per-user snapshots for its lifetime,
+// so each test works with a user of its own
+let userCount = 0;
+let userId;
+
+const createLocalStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open('document-chat');
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const readStore = async (storeName) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName).objectStore(storeName).getAll();
+    request.onsuccess = () => {
+      db.close();
+      resolve(request.result);
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const writeRecord = async (record) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('chatPages', 'readwrite');
+    transaction.objectStore('chatPages').put(record);
+    transaction.oncomplete = () => {
+      db.close();
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const page = (id, title = `Chat ${id}`) => ({ id, title, messages: [{ id: `${id}-1`, type: 'user', content: 'Hi' }] });
+
+beforeEach(() => {
+  userId = `user-${++userCount}`;
+  vi.stubGlobal('localStorage', createLocalStorage());
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('loadChatPages', () => {
+  it('returns null when the user has nothing cached', async () => {
+    expect(await loadChatPages(userId)).toBeNull();
+  });
+
+  it('returns saved pages in the order they were saved', async () => {
+    const pages = [page('b'), page('a'), page('c')];
+    await saveChatPages(userId, pages);
+
+    expect(await loadChatPages(userId)).toEqual(pages);
+  });
+
+  it('only returns the pages of the given user', async () => {
+    await saveChatPages(userId, [page('mine')]);
+
+    expect(await loadChatPages(`${userId}-other`)).toBeNull();
+  });
+
+  it('upgrades records saved with an older schema and writes them back', async () => {
+    await loadChatPages(userId);
+    await writeRecord({ key: `${userId}:7`, userId, order: 0, schemaVersion: 0, page: { id: 7, messages: 'oops' } });
+
+    expect(await loadChatPages(userId)).toEqual([{ id: '7', title: 'New Chat', messages: [] }]);
+    const records = (await readStore('chatPages')).filter(record => record.userId === userId);
+    expect(records.map(record => record.schemaVersion)).toEqual([1]);
+  });
+
+  it('sets aside records it cannot read instead of failing', async () => {
+    await saveChatPages(userId, [page('good')]);
+    await writeRecord({ key: `${userId}:future`, userId, order: 1, schemaVersion: 99, page: page('future') });
+    await writeRecord({ key: `${userId}:broken`, userId, order: 2, schemaVersion: 1, page: null });
+
+    expect(await loadChatPages(userId)).toEqual([page('good')]);
+
+    const records = (await readStore('chatPages')).filter(record => record.userId === userId);
+    expect(records.map(record => record.key)).toEqual([`${userId}:good`]);
+    const corrupt = (await readStore('corruptRecords')).filter(record => record.userId === userId);
+    expect(corrupt.map(record => record.value.key).sort()).toEqual([`${userId}:broken`, `${userId}:future`]);
+  });
+});
+
+describe('migration from localStorage', () => {
+  it('moves the user\'s own localStorage chats into IndexedDB', async () => {
+    localStorage.setItem(`chatPages:${userId}`, JSON.stringify([{ id: 1, title: 'Old', messages: [] }]));
+
+    expect(await loadChatPages(userId)).toEqual([{ id: '1', title: 'Old', messages: [] }]);
+    expect(localStorage.getItem(`chatPages:${userId}`)).toBeNull();
+    expect(await loadChatPages(userId)).toEqual([{ id: '1', title: 'Old', messages: [] }]);
+  });
+
+  it('sets aside malformed localStorage pages and keeps the rest', async () => {
+    localStorage.setItem(`chatPages:${userId}`, JSON.stringify([null, { title: 'No id' }, { id: 2, messages: [] }]));
+
+    expect(await loadChatPages(userId)).toEqual([{ id: '2', title: 'New Chat', messages: [] }]);
+    const corrupt = (await readStore('corruptRecords')).filter(record => record.userId === userId);
+    expect(corrupt).toHaveLength(2);
+  });
+
+  it('sets aside localStorage data that is not JSON', async () => {
+    localStorage.setItem(`chatPages:${userId}`, '{not json');
+
+    expect(await loadChatPages(userId)).toBeNull();
+    const corrupt = (await readStore('corruptRecords')).filter(record => record.userId === userId);
+    expect(corrupt.map(record => record.value)).toEqual(['{not json']);
+  });
+
+  it('never gives chats saved before sign-in to the user who signs in', async () => {
+    localStorage.setItem('chatPages', JSON.stringify([{ id: 1, title: 'Someone else', messages: [] }]));
+
+    expect(await loadChatPages(userId)).toBeNull();
+    expect(localStorage.getItem('chatPages')).not.toBeNull();
+  });
+});
+
+describe('chats saved before sign-in', () => {
+  it('can be read for the user to claim', () => {
+    localStorage.setItem('chatPages', JSON.stringify([{ id: 1, title: 'Old', messages: [] }, 'junk']));
+
+    expect(loadUnclaimedChatPages()).toEqual([{ id: '1', title: 'Old', messages: [] }]);
+  });
+
+  it('are null when there are none or they cannot be read', () => {
+    expect(loadUnclaimedChatPages()).toBeNull();
+    localStorage.setItem('chatPages', '{not json');
+    expect(loadUnclaimedChatPages()).toBeNull();
+  });
+
+  it('can be discarded', () => {
+    localStorage.setItem('chatPages', JSON.stringify([{ id: 1, messages: [] }]));
+    discardUnclaimedChatPages();
+
+    expect(loadUnclaimedChatPages()).toBeNull();
+  });
+});
+
+describe('saveChatPages', () => {
+  it('only rewrites pages that changed', async () => {
+    await saveChatPages(userId, [page('a'), page('b')]);
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put');
+
+    await saveChatPages(userId, [page('a'), page('b', 'Renamed')]);
+
+    expect(put.mock.calls.map(([record]) => record.page.id)).toEqual(['b']);
+    expect(await loadChatPages(userId)).toEqual([page('a'), page('b', 'Renamed')]);
+  });
+
+  it('rewrites every page when the order changes', async () => {
+    await saveChatPages(userId, [page('a'), page('b')]);
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put');
+
+    await saveChatPages(userId, [page('b'), page('a')]);
+
+    expect(put).toHaveBeenCalledTimes(2);
+    expect((await loadChatPages(userId)).map(p => p.id)).toEqual(['b', 'a']);
+  });
+
+  it('deletes pages that were removed, including the last one', async () => {
+    await saveChatPages(userId, [page('a'), page('b')]);
+    await saveChatPages(userId, [page('b')]);
+    expect(await loadChatPages(userId)).toEqual([page('b')]);
+
+    await saveChatPages(userId, []);
+    expect(await loadChatPages(userId)).toBeNull();
+  });
+
+  it('applies saves made back to back in order', async () => {
+    await saveChatPages(userId, [page('a')]);
+
+    const saves = [
+      saveChatPages(userId, [page('a'), page('b')]),
+      saveChatPages(userId, [page('b')]),
+      saveChatPages(userId, [page('b', 'Final')])
+    ];
+
+    expect(await Promise.all(saves)).toEqual([true, true, true]);
+    expect(await loadChatPages(userId)).toEqual([page('b', 'Final')]);
+  });
+
+  it('resolves to false when the cache cannot be written', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(() => {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    });
+
+    expect(await saveChatPages(userId, [page('a')])).toBe(false);
+  });
+});
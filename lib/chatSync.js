@@ -0,0 +1,98 @@
+// Client side of chat persistence. Pages are saved to /api/chats; changes
+// that haven't reached the server yet are kept in a per-user outbox in
+// localStorage so they survive reloads and are sent once the server is back.
+// The outbox is shared by every open tab, so it is updated one page at a time.
+
+const getPendingKey = (userId) => `chatSyncPending:${userId}`;
+const getMigratedKey = (userId) => `chatPagesMigrated:${userId}`;
+
+const checkResponse = async (response) => {
+  if (!response.ok) {
+    let message = `HTTP error! status: ${response.status}`;
+    try {
+      message = (await response.json()).error || message;
+    } catch {
+      // Not a JSON error body
+    }
+    throw new Error(message);
+  }
+  return response;
+};
+
+export const fetchServerPages = async () => {
+  const response = await checkResponse(await fetch('/api/chats'));
+  const data = await response.json();
+  return data.pages || [];
+};
+
+export const putServerPage = async (page) => {
+  await checkResponse(await fetch(`/api/chats/${encodeURIComponent(page.id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(page)
+  }));
+};
+
+export const deleteServerPage = async (pageId) => {
+  const response = await fetch(`/api/chats/${encodeURIComponent(pageId)}`, { method: 'DELETE' });
+  // Already gone is as good as deleted
+  if (response.status !== 404) {
+    await checkResponse(response);
+  }
+};
+
+// Pending changes map page ids to 'upsert' or 'delete'
+export const loadPendingChanges = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getPendingKey(userId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+const savePendingChanges = (userId, pending) => {
+  if (Object.keys(pending).length === 0) {
+    localStorage.removeItem(getPendingKey(userId));
+  } else {
+    localStorage.setItem(getPendingKey(userId), JSON.stringify(pending));
+  }
+};
+
+// Read-modify-write on every call so tabs don't drop each other's entries
+export const setPendingChange = (userId, pageId, operation) => {
+  const pending = loadPendingChanges(userId);
+  if (pending[pageId] === operation) return;
+  pending[pageId] = operation;
+  savePendingChanges(userId, pending);
+};
+
+// Clears the entry only if it hasn't been replaced by a different operation
+export const clearPendingChange = (userId, pageId, operation) => {
+  const pending = loadPendingChanges(userId);
+  if (pending[pageId] !== operation) return;
+  delete pending[pageId];
+  savePendingChanges(userId, pending);
+};
+
+// Whether this browser's local chats have been uploaded once already
+export const isMigrated = (userId) => localStorage.getItem(getMigratedKey(userId)) === 'true';
+
+export const markMigrated = (userId) => {
+  localStorage.setItem(getMigratedKey(userId), 'true');
+};
+
+// Server pages win, except for pages with unsent local changes
+export const mergeServerPages = (serverPages, localPages, pending) => {
+  const localById = new Map(localPages.map(page => [page.id, page]));
+  const merged = serverPages
+    .filter(page => pending[page.id] !== 'delete')
+    .map(page => (pending[page.id] === 'upsert' && localById.has(page.id) ? localById.get(page.id) : page));
+
+  const mergedIds = new Set(merged.map(page => page.id));
+  localPages.forEach(page => {
+    if (pending[page.id] === 'upsert' && !mergedIds.has(page.id)) {
+      merged.push(page);
+    }
+  });
+  return merged;
+};
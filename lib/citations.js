@@ -0,0 +1,102 @@
+// Normalizes the `context` returned by /query into numbered citations.
+//
+// New backends send a list of chunks, e.g.
+//   [{ document: 'Leave Policy.pdf', page: 3, score: 0.82, content: '...' }]
+// (optionally wrapped as `{ chunks: [...] }`). Older backends, and messages
+// already saved in localStorage, hold a single context string instead.
+
+import { DEFAULT_LOCALE, translate } from '@/lib/i18n';
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== null);
+
+const normalizeChunk = (chunk, index, locale) => {
+  if (typeof chunk === 'string') {
+    return { number: index + 1, document: translate(locale, 'citations.unnamedSource'), location: null, score: null, text: chunk };
+  }
+
+  const metadata = chunk.metadata || {};
+  const page = firstDefined(chunk.page, metadata.page);
+  const row = firstDefined(chunk.row, metadata.row);
+
+  let location = null;
+  if (page !== undefined) {
+    location = translate(locale, 'citations.page', { page });
+  } else if (row !== undefined) {
+    location = translate(locale, 'citations.row', { row });
+  }
+
+  const score = firstDefined(chunk.score, chunk.relevance, metadata.score);
+
+  return {
+    number: index + 1,
+    document: firstDefined(chunk.document, chunk.document_name, chunk.source, metadata.source, translate(locale, 'citations.unknownDocument')),
+    location,
+    score: typeof score === 'number' ? score : null,
+    text: firstDefined(chunk.content, chunk.text, chunk.page_content, '')
+  };
+};
+
+// Returns an array of citations, or null when the context is not structured.
+// Labels for unnamed sources and locations are worded in `locale`.
+export const getCitations = (context, locale = DEFAULT_LOCALE) => {
+  const chunks = Array.isArray(context) ? context : context?.chunks;
+  if (!Array.isArray(chunks) || chunks.length === 0) return null;
+  return chunks.map((chunk, index) => normalizeChunk(chunk, index, locale));
+};
+
+// Legacy messages keep their plain-string context
+export const getContextText = (context) => (typeof context === 'string' ? context : null);
+
+const CITATION_HREF_PREFIX = '#cite-';
+
+const CITATION_MARKER = /\[(\d+)\]/g;
+
+// Nodes whose text must stay as written: code, and links (no links in links)
+const UNLINKED_NODE_TYPES = new Set(['code', 'inlineCode', 'link', 'linkReference']);
+
+// Split a text node's value around `[n]` markers that match a citation, or
+// return null when it has none
+const splitCitationMarkers = (value, citations) => {
+  const nodes = [];
+  let lastIndex = 0;
+  for (const match of value.matchAll(CITATION_MARKER)) {
+    if (!citations[Number(match[1]) - 1]) continue;
+    if (match.index > lastIndex) {
+      nodes.push({ type: 'text', value: value.slice(lastIndex, match.index) });
+    }
+    nodes.push({
+      type: 'link',
+      url: `${CITATION_HREF_PREFIX}${match[1]}`,
+      children: [{ type: 'text', value: match[0] }]
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  if (nodes.length === 0) return null;
+  if (lastIndex < value.length) {
+    nodes.push({ type: 'text', value: value.slice(lastIndex) });
+  }
+  return nodes;
+};
+
+const linkMarkersIn = (node, citations) => {
+  if (!node.children || UNLINKED_NODE_TYPES.has(node.type)) return;
+  node.children = node.children.flatMap((child) => {
+    if (child.type === 'text') {
+      return splitCitationMarkers(child.value, citations) || [child];
+    }
+    linkMarkersIn(child, citations);
+    return [child];
+  });
+};
+
+// Remark plugin that turns `[n]` markers matching a citation into links, so
+// the Markdown renderer can make them clickable references. Markers inside
+// code are left alone.
+export const remarkCitationLinks = ({ citations } = {}) => (tree) => {
+  if (citations) linkMarkersIn(tree, citations);
+};
+
+export const getCitationFromHref = (href, citations) => {
+  if (!citations || !href?.startsWith(CITATION_HREF_PREFIX)) return null;
+  return citations[Number(href.slice(CITATION_HREF_PREFIX.length)) - 1] || null;
+};
@@ -0,0 +1,26 @@
+// Answer feedback shared by the chat page, the reviewer page and the
+// /api/feedback route
+
+export const FEEDBACK_CATEGORIES = [
+  { id: 'wrong', label: 'Wrong' },
+  { id: 'incomplete', label: 'Incomplete' },
+  { id: 'outdated_source', label: 'Outdated source' }
+];
+
+export const getCategoryLabel = (categoryId) =>
+  FEEDBACK_CATEGORIES.find(category => category.id === categoryId)?.label || '—';
+
+// Saves the rating; resolves to the stored entry or rejects with the server's message
+export const submitFeedback = async (feedback) => {
+  const response = await fetch('/api/feedback', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(feedback)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data.feedback;
+};
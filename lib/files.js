@@ -0,0 +1,40 @@
+// File helpers shared by the ingest and library pages
+
+export const SUPPORTED_FORMATS = ['.docx', '.pdf', '.csv', '.txt'];
+export const ACCEPTED_TYPES = SUPPORTED_FORMATS.join(',');
+
+export const isFileSupported = (fileName) => {
+  return SUPPORTED_FORMATS.some(format => 
+    fileName.toLowerCase().endsWith(format)
+  );
+};
+
+export const getFileExtension = (fileName) => fileName.toLowerCase().split('.').pop();
+
+export const getFileIcon = (fileName) => {
+  switch (getFileExtension(fileName)) {
+    case 'docx':
+      return '📄';
+    case 'pdf':
+      return '📕';
+    case 'csv':
+      return '📊';
+    case 'txt':
+      return '📝';
+    default:
+      return '📄';
+  }
+};
+
+// Sizes in 1024-byte steps, with number and unit in the locale's format
+const SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+
+export const formatFileSize = (bytes, locale = 'en') => {
+  const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), SIZE_UNITS.length - 1) : 0;
+  return new Intl.NumberFormat(locale, {
+    style: 'unit',
+    unit: SIZE_UNITS[i],
+    unitDisplay: i === 0 ? 'long' : 'short',
+    maximumFractionDigits: 2
+  }).format(bytes / Math.pow(1024, i));
+};
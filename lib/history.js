@@ -0,0 +1,39 @@
+// Builds the bounded conversation history sent with each /query request.
+
+// Client-side trimming policy. Whichever limit is hit first wins.
+export const HISTORY_POLICY = {
+  maxTurns: 6,     // user + assistant messages, newest first
+  maxChars: 6000,  // total characters across all included messages
+};
+
+const ROLE_BY_TYPE = {
+  user: 'user',
+  assistant: 'assistant',
+};
+
+// Turn a page's messages into `[{ role, content }]`, oldest first, keeping
+// only the most recent turns that fit the policy. Error bubbles and
+// in-progress (streaming) answers are never sent.
+export const buildHistory = (messages, policy = HISTORY_POLICY) => {
+  const history = [];
+  let totalChars = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    const role = ROLE_BY_TYPE[message.type];
+    if (!role || message.streaming || !message.content) continue;
+
+    if (history.length >= policy.maxTurns) break;
+    if (totalChars + message.content.length > policy.maxChars) break;
+
+    totalChars += message.content.length;
+    history.unshift({ role, content: message.content });
+  }
+
+  // Don't start the window on a dangling assistant answer
+  while (history.length > 0 && history[0].role === 'assistant') {
+    history.shift();
+  }
+
+  return history;
+};
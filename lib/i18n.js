@@ -0,0 +1,68 @@
+// UI translations. Each locale has a catalog in locales/<id>.json mapping
+// "area.name" keys to messages. Messages may contain `{name}` placeholders,
+// and a message that depends on a count is an object of plural forms
+// (`one`, `other`, plus `zero`/`two`/`few`/`many` where the language has
+// them). English is complete; other catalogs fall back to it.
+
+import en from '@/locales/en.json';
+import es from '@/locales/es.json';
+import hi from '@/locales/hi.json';
+import ar from '@/locales/ar.json';
+
+const STORAGE_KEY = 'locale';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+  { id: 'en', label: 'English', dir: 'ltr' },
+  { id: 'es', label: 'Español', dir: 'ltr' },
+  { id: 'hi', label: 'हिन्दी', dir: 'ltr' },
+  { id: 'ar', label: 'العربية', dir: 'rtl' }
+];
+
+const CATALOGS = { en, es, hi, ar };
+
+export const isSupportedLocale = (locale) => LOCALES.some(entry => entry.id === locale);
+
+export const getTextDirection = (locale) => LOCALES.find(entry => entry.id === locale)?.dir || 'ltr';
+
+const pickPluralForm = (message, locale, count) => {
+  const form = new Intl.PluralRules(locale).select(count);
+  return message[form] ?? message.other;
+};
+
+export const translate = (locale, key, params = {}) => {
+  let message = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    console.warn(`Missing translation: ${key}`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    message = pickPluralForm(message, locale, params.count ?? 0);
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
+
+// Dates and times in the locale's format; '' for missing or invalid values
+export const formatDateTime = (value, locale, options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat(locale, options).format(date);
+};
+
+// The saved choice, else the first supported language the browser prefers
+export const loadLocale = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (isSupportedLocale(saved)) return saved;
+
+  const preferred = (navigator.languages || [navigator.language])
+    .map(language => language?.split('-')[0])
+    .find(isSupportedLocale);
+  return preferred || DEFAULT_LOCALE;
+};
+
+export const saveLocale = (locale) => {
+  localStorage.setItem(STORAGE_KEY, locale);
+};
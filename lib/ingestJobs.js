@@ -0,0 +1,71 @@
+// Ingestion jobs returned by /api/ingest. The backend answers with a job id
+// right away and reports progress through GET /api/ingest/jobs/{id}.
+
+import { DEFAULT_LOCALE, translate } from '@/lib/i18n';
+
+const STORAGE_KEY = 'ingestJobs';
+const MAX_STORED_JOBS = 20;
+
+// Pipeline stages in the order the backend completes them
+export const INGEST_STAGES = ['parsed', 'chunked', 'embedded', 'stored'];
+
+export const isJobActive = (job) => job.status === 'queued' || job.status === 'running';
+
+// Index of the last completed stage, or -1 if none yet
+export const getStageIndex = (job) => {
+  if (job.status === 'completed') return INGEST_STAGES.length - 1;
+  return INGEST_STAGES.indexOf(job.stage);
+};
+
+export const createJob = (jobId, fileName) => ({
+  id: jobId,
+  fileName,
+  status: 'queued',
+  stage: null,
+  error: null,
+  errorCode: null,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+export const loadStoredJobs = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const jobs = saved ? JSON.parse(saved) : [];
+    return Array.isArray(jobs) ? jobs : [];
+  } catch (error) {
+    console.error('Failed to load ingestion jobs:', error);
+    return [];
+  }
+};
+
+export const saveStoredJobs = (jobs) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(jobs.slice(0, MAX_STORED_JOBS)));
+};
+
+// Fetch the latest state of a job and merge it into the stored record
+export const fetchJobStatus = async (job) => {
+  const response = await fetch(`/api/ingest/jobs/${encodeURIComponent(job.id)}`);
+
+  if (response.status === 404) {
+    return { ...job, status: 'failed', error: null, errorCode: 'notFound', updatedAt: new Date().toISOString() };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return {
+    ...job,
+    status: data.status ?? job.status,
+    stage: data.stage ?? job.stage,
+    error: data.error ?? null,
+    errorCode: null,
+    updatedAt: new Date().toISOString()
+  };
+};
+
+// Why a job failed, in `locale`. `error` is the backend's own message;
+// `errorCode` marks failures detected here.
+export const getJobErrorMessage = (job, locale = DEFAULT_LOCALE) =>
+  job.errorCode ? translate(locale, `jobs.error.${job.errorCode}`) : job.error;
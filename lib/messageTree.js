@@ -0,0 +1,114 @@
+// Chat pages keep every message ever sent, across all branches, in the flat
+// `page.messages` array in the order they were created. Each message points
+// to the one it follows with `parentId` (null for the first question);
+// messages saved before branching existed have no `parentId` and follow the
+// message before them in the array, so old pages read as a single branch.
+//
+// Editing a question or regenerating an answer adds a sibling under the same
+// parent. `page.activeBranches` maps a parent id ('root' for the top level)
+// to the child that is shown; without an entry the newest child is shown.
+
+const ROOT_KEY = 'root';
+
+const getParentKey = (parentId) => (parentId === null || parentId === undefined ? ROOT_KEY : String(parentId));
+
+const getParentId = (messages, index) => {
+  if (messages[index].parentId !== undefined) return messages[index].parentId;
+  return index > 0 ? messages[index - 1].id : null;
+};
+
+// Parent key -> child messages in creation order
+const getChildrenByParent = (messages) => {
+  const children = new Map();
+  messages.forEach((message, index) => {
+    const key = getParentKey(getParentId(messages, index));
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(message);
+  });
+  return children;
+};
+
+const findParentKey = (messages, messageId) => {
+  const index = messages.findIndex(message => String(message.id) === String(messageId));
+  return index === -1 ? null : getParentKey(getParentId(messages, index));
+};
+
+// The messages on the branches currently selected, from the first question on
+export const getActivePath = (page) => {
+  const messages = page?.messages || [];
+  const children = getChildrenByParent(messages);
+  const path = [];
+  const visited = new Set();
+  let key = ROOT_KEY;
+
+  while (children.has(key) && !visited.has(key)) {
+    visited.add(key);
+    const siblings = children.get(key);
+    const selectedId = page.activeBranches?.[key];
+    const next = siblings.find(message => String(message.id) === String(selectedId)) || siblings[siblings.length - 1];
+    path.push(next);
+    key = String(next.id);
+  }
+  return path;
+};
+
+// `{ index, count, previousId, nextId }` for switching between a message's
+// alternatives, or null when it has none
+export const getBranchInfo = (page, messageId) => {
+  const messages = page?.messages || [];
+  const parentKey = findParentKey(messages, messageId);
+  if (parentKey === null) return null;
+
+  const siblings = getChildrenByParent(messages).get(parentKey);
+  if (siblings.length < 2) return null;
+
+  const index = siblings.findIndex(message => String(message.id) === String(messageId));
+  return {
+    index,
+    count: siblings.length,
+    previousId: index > 0 ? siblings[index - 1].id : null,
+    nextId: index < siblings.length - 1 ? siblings[index + 1].id : null
+  };
+};
+
+// Add `message` under `parentId` (null for a first question) and show it
+export const addMessageToPage = (page, parentId, message) => ({
+  ...page,
+  messages: [...(page.messages || []), { ...message, parentId }],
+  activeBranches: { ...page.activeBranches, [getParentKey(parentId)]: message.id }
+});
+
+// Show the branch containing `messageId`, from the root down to that message
+export const selectBranch = (page, messageId) => {
+  const messages = page.messages || [];
+  const activeBranches = { ...page.activeBranches };
+  const visited = new Set();
+  let currentId = messageId;
+
+  while (currentId !== null && currentId !== undefined && !visited.has(String(currentId))) {
+    visited.add(String(currentId));
+    const index = messages.findIndex(message => String(message.id) === String(currentId));
+    if (index === -1) break;
+    const parentId = getParentId(messages, index);
+    activeBranches[getParentKey(parentId)] = messages[index].id;
+    currentId = parentId;
+  }
+  return { ...page, activeBranches };
+};
+
+export const updateMessageInPage = (page, messageId, changes) => ({
+  ...page,
+  messages: (page.messages || []).map(message =>
+    String(message.id) === String(messageId) ? { ...message, ...changes } : message
+  )
+});
+
+// Swap a message for `message` in the same place, keeping its id and parent
+export const replaceMessageInPage = (page, messageId, message) => ({
+  ...page,
+  messages: (page.messages || []).map(existing =>
+    String(existing.id) === String(messageId)
+      ? { ...message, id: existing.id, ...(existing.parentId !== undefined && { parentId: existing.parentId }) }
+      : existing
+  )
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getActivePath,
+  getBranchInfo,
+  addMessageToPage,
+  selectBranch,
+  updateMessageInPage,
+  replaceMessageInPage
+} from '@/lib/messageTree';
+
+const message = (id, parentId, type = 'user') => ({ id, parentId, type, content: `message ${id}` });
+
+const pathIds = (page) => getActivePath(page).map(m => m.id);
+
+// q1 → a1, with q1 edited into q2 → a2, and a2 regenerated as a3
+const branchedPage = () => ({
+  id: 'p1',
+  messages: [
+    message('q1', null),
+    message('a1', 'q1', 'assistant'),
+    message('q2', null),
+    message('a2', 'q2', 'assistant'),
+    message('a3', 'q2', 'assistant')
+  ]
+});
+
+describe('getActivePath', () => {
+  it('is empty for a missing page or one without messages', () => {
+    expect(getActivePath(undefined)).toEqual([]);
+    expect(getActivePath({ id: 'p1' })).toEqual([]);
+  });
+
+  it('reads messages saved before branching as a single branch', () => {
+    const page = { messages: [{ id: 1 }, { id: 2 }, { id: 3 }] };
+
+    expect(pathIds(page)).toEqual([1, 2, 3]);
+  });
+
+  it('shows the newest child of each message by default', () => {
+    expect(pathIds(branchedPage())).toEqual(['q2', 'a3']);
+  });
+
+  it('follows the branches selected in activeBranches', () => {
+    const page = { ...branchedPage(), activeBranches: { root: 'q2', q2: 'a2' } };
+
+    expect(pathIds(page)).toEqual(['q2', 'a2']);
+    expect(pathIds({ ...page, activeBranches: { root: 'q1' } })).toEqual(['q1', 'a1']);
+  });
+
+  it('falls back to the newest child when the selected one is gone', () => {
+    const page = { ...branchedPage(), activeBranches: { root: 'deleted' } };
+
+    expect(pathIds(page)).toEqual(['q2', 'a3']);
+  });
+
+  it('matches ids regardless of whether they are numbers or strings', () => {
+    const page = {
+      messages: [message(1, null), message(2, '1', 'assistant'), message(3, 1, 'assistant')],
+      activeBranches: { 1: 2 }
+    };
+
+    expect(pathIds(page)).toEqual([1, 2]);
+  });
+
+  it('stops instead of looping when a message is its own descendant', () => {
+    const page = { messages: [message('a', null), message('a', 'a', 'assistant')] };
+
+    expect(pathIds(page)).toEqual(['a', 'a']);
+  });
+});
+
+describe('getBranchInfo', () => {
+  it('is null for a message without alternatives or one that does not exist', () => {
+    expect(getBranchInfo(branchedPage(), 'a1')).toBeNull();
+    expect(getBranchInfo(branchedPage(), 'missing')).toBeNull();
+    expect(getBranchInfo(undefined, 'a1')).toBeNull();
+  });
+
+  it('gives the position among siblings and the ids to switch to', () => {
+    expect(getBranchInfo(branchedPage(), 'q1')).toEqual({ index: 0, count: 2, previousId: null, nextId: 'q2' });
+    expect(getBranchInfo(branchedPage(), 'a3')).toEqual({ index: 1, count: 2, previousId: 'a2', nextId: null });
+  });
+});
+
+describe('addMessageToPage', () => {
+  it('adds the message under its parent and shows it', () => {
+    const page = addMessageToPage(branchedPage(), 'q1', message('a4', undefined, 'assistant'));
+
+    expect(page.messages[page.messages.length - 1]).toMatchObject({ id: 'a4', parentId: 'q1' });
+    expect(page.activeBranches).toEqual({ q1: 'a4' });
+  });
+
+  it('uses the root key for a first question', () => {
+    const page = addMessageToPage({ id: 'p1' }, null, message('q1'));
+
+    expect(page.activeBranches).toEqual({ root: 'q1' });
+    expect(pathIds(page)).toEqual(['q1']);
+  });
+});
+
+describe('selectBranch', () => {
+  it('selects every message from the root down to the given one', () => {
+    const page = selectBranch(branchedPage(), 'a1');
+
+    expect(page.activeBranches).toEqual({ root: 'q1', q1: 'a1' });
+    expect(pathIds(page)).toEqual(['q1', 'a1']);
+  });
+
+  it('keeps the selection of other branches', () => {
+    const page = selectBranch({ ...branchedPage(), activeBranches: { q2: 'a2' } }, 'q1');
+
+    expect(page.activeBranches).toEqual({ root: 'q1', q2: 'a2' });
+  });
+
+  it('leaves the page as it was for an unknown message', () => {
+    const page = selectBranch(branchedPage(), 'missing');
+
+    expect(pathIds(page)).toEqual(['q2', 'a3']);
+  });
+});
+
+describe('updateMessageInPage', () => {
+  it('merges changes into the matching message only', () => {
+    const page = updateMessageInPage(branchedPage(), 'a2', { content: 'edited' });
+
+    expect(page.messages.find(m => m.id === 'a2').content).toBe('edited');
+    expect(page.messages.find(m => m.id === 'a3').content).toBe('message a3');
+  });
+});
+
+describe('replaceMessageInPage', () => {
+  it('keeps the replaced message\'s id and parent', () => {
+    const page = replaceMessageInPage(branchedPage(), 'a3', { id: 'new', parentId: 'q1', type: 'error', content: 'Failed' });
+
+    expect(page.messages[4]).toEqual({ id: 'a3', parentId: 'q2', type: 'error', content: 'Failed' });
+  });
+
+  it('does not add a parent to messages saved before branching', () => {
+    const page = replaceMessageInPage({ messages: [{ id: 1 }, { id: 2 }] }, 2, { type: 'assistant', content: 'x' });
+
+    expect(page.messages[1]).toEqual({ id: 2, type: 'assistant', content: 'x' });
+    expect(pathIds(page)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,64 @@
+// Client-side checks run on each selected file before it is uploaded
+
+import { getFileExtension, formatFileSize } from '@/lib/files';
+import { DEFAULT_LOCALE, translate } from '@/lib/i18n';
+
+// Configurable through NEXT_PUBLIC_MAX_UPLOAD_MB
+export const MAX_FILE_SIZE_BYTES = (Number(process.env.NEXT_PUBLIC_MAX_UPLOAD_MB) || 50) * 1024 * 1024;
+
+const TEXT_SAMPLE_BYTES = 4096;
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+// Expected leading bytes for binary formats
+const SIGNATURES = {
+  pdf: { bytes: [0x25, 0x50, 0x44, 0x46, 0x2d], label: 'PDF' },  // "%PDF-"
+  docx: { bytes: [0x50, 0x4b, 0x03, 0x04], label: 'DOCX' }       // ZIP local file header
+};
+
+const readBytes = async (file, length) => new Uint8Array(await file.slice(0, length).arrayBuffer());
+
+// Returns an error message when the content doesn't match the extension
+const checkContentType = async (file, locale) => {
+  const extension = getFileExtension(file.name);
+  const signature = SIGNATURES[extension];
+
+  if (signature) {
+    const header = await readBytes(file, signature.bytes.length);
+    return startsWith(header, signature.bytes) ? null : translate(locale, 'preflight.invalidContents', { format: signature.label });
+  }
+
+  // CSV and TXT should be text: a NUL byte means the file is binary
+  const sample = await readBytes(file, TEXT_SAMPLE_BYTES);
+  return sample.includes(0) ? translate(locale, 'preflight.binary') : null;
+};
+
+// SHA-256 of the file contents as a hex string, or null where Web Crypto is
+// unavailable (it requires a secure context)
+export const hashFile = async (file) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Resolves to `{ error }` for a file that must not be uploaded, else `{ hash }`.
+// Errors are worded in `locale`.
+export const preflightFile = async (file, locale = DEFAULT_LOCALE) => {
+  if (file.size === 0) {
+    return { error: translate(locale, 'preflight.empty') };
+  }
+  if (file.size > MAX_FILE_SIZE_BYTES) {
+    return { error: translate(locale, 'preflight.tooLarge', { size: formatFileSize(MAX_FILE_SIZE_BYTES, locale) }) };
+  }
+
+  try {
+    const contentError = await checkContentType(file, locale);
+    if (contentError) {
+      return { error: contentError };
+    }
+    return { hash: await hashFile(file) };
+  } catch (error) {
+    console.error(`Preflight failed for ${file.name}:`, error);
+    return { error: translate(locale, 'preflight.unreadable') };
+  }
+};
@@ -0,0 +1,166 @@
+// Sends questions to /api/query with cancellation, a timeout and automatic
+// retries. Failures reject with a QueryError whose `kind` says what happened:
+//   'cancelled' the caller aborted the request
+//   'timeout'   nothing arrived for QUERY_TIMEOUT_MS
+//   'network'   the server couldn't be reached
+//   'http'      the server answered with an error status (`status` is set)
+//   'backend'   the answer stream reported an error
+
+import { readQueryResponse, QUERY_ACCEPT_HEADER } from '@/lib/streaming';
+import { DEFAULT_LOCALE, translate } from '@/lib/i18n';
+
+// Time allowed without any response or new answer text, so long streamed
+// answers aren't cut off as long as they keep arriving
+export const QUERY_TIMEOUT_MS = (Number(process.env.NEXT_PUBLIC_QUERY_TIMEOUT_SECONDS) || 120) * 1000;
+
+// Network errors and these statuses are retried, with exponential backoff,
+// as long as no answer text has arrived yet
+export const QUERY_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 8000,
+  retryStatuses: [500, 502, 503, 504]
+};
+
+export class QueryError extends Error {
+  constructor(kind, message, status) {
+    super(message);
+    this.name = 'QueryError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+const readErrorMessage = async (response) => {
+  try {
+    return (await response.json()).error || null;
+  } catch {
+    return null;
+  }
+};
+
+const isRetryable = (error, policy) =>
+  error.kind === 'network' || (error.kind === 'http' && policy.retryStatuses.includes(error.status));
+
+// Full jitter keeps several clients from retrying in lockstep
+const getRetryDelay = (attempt, policy) =>
+  Math.round(Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1)));
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new QueryError('cancelled', 'Request cancelled'));
+    return;
+  }
+  const timeout = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(new QueryError('cancelled', 'Request cancelled'));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const attemptQuery = async (body, { signal, timeoutMs, onToken }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeout;
+  const restartTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  restartTimeout();
+
+  try {
+    const response = await fetch('/api/query', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': QUERY_ACCEPT_HEADER,
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const message = await readErrorMessage(response);
+      throw new QueryError('http', message || `HTTP error! status: ${response.status}`, response.status);
+    }
+
+    restartTimeout();
+    return await readQueryResponse(response, (partialAnswer) => {
+      restartTimeout();
+      onToken(partialAnswer);
+    });
+  } catch (error) {
+    if (error instanceof QueryError) throw error;
+    if (controller.signal.aborted) {
+      throw timedOut
+        ? new QueryError('timeout', 'The request timed out')
+        : new QueryError('cancelled', 'Request cancelled');
+    }
+    // fetch rejects with a TypeError when the server can't be reached
+    if (error instanceof TypeError) {
+      throw new QueryError('network', error.message);
+    }
+    throw new QueryError('backend', error.message);
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// Resolves with `{ answer, context }`. onToken receives the answer so far;
+// onRetry({ attempt, maxAttempts, delayMs, error }) is called before each retry.
+export const sendQuery = async (body, {
+  signal,
+  onToken = () => {},
+  onRetry = () => {},
+  timeoutMs = QUERY_TIMEOUT_MS,
+  retryPolicy = QUERY_RETRY_POLICY
+} = {}) => {
+  let receivedText = false;
+  const trackToken = (partialAnswer) => {
+    receivedText = true;
+    onToken(partialAnswer);
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptQuery(body, { signal, timeoutMs, onToken: trackToken });
+    } catch (error) {
+      // Retrying after text has been shown would repeat it
+      if (receivedText || attempt >= retryPolicy.maxAttempts || !isRetryable(error, retryPolicy)) {
+        throw error;
+      }
+      const delayMs = getRetryDelay(attempt, retryPolicy);
+      onRetry({ attempt: attempt + 1, maxAttempts: retryPolicy.maxAttempts, delayMs, error });
+      await wait(delayMs, signal);
+    }
+  }
+};
+
+// Text for the error bubble shown in place of an answer, in `locale`
+export const getQueryErrorMessage = (error, locale = DEFAULT_LOCALE) => {
+  const params = { message: error?.message };
+  switch (error?.kind) {
+    case 'cancelled':
+      return translate(locale, 'queryError.cancelled');
+    case 'timeout':
+      return translate(locale, 'queryError.timeout');
+    case 'network':
+      return translate(locale, 'queryError.network');
+    case 'http':
+      return translate(locale, error.status >= 500 ? 'queryError.serverFailed' : 'queryError.rejected', params);
+    case 'backend':
+      return translate(locale, 'queryError.backend', params);
+    default:
+      return translate(locale, 'queryError.unknown');
+  }
+};
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendQuery, getQueryErrorMessage, QueryError } from '@/lib/queryClient';
+
+// Short delays keep retry tests fast; Math.random is pinned so each delay is
+// the full backoff
+const FAST_RETRIES = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 4, retryStatuses: [500, 502, 503, 504] };
+
+const jsonResponse = (body, status = 200) => Response.json(body, { status });
+
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { headers: { 'Content-Type': 'application/x-ndjson' } });
+};
+
+// A request that never answers, rejecting like fetch once it is aborted
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+});
+
+const fetchMock = vi.fn();
+
+const rejection = (promise) => promise.then(
+  () => { throw new Error('Expected the query to fail'); },
+  error => error
+);
+
+beforeEach(() => {
+  fetchMock.mockReset();
+  vi.stubGlobal('fetch', fetchMock);
+  vi.spyOn(Math, 'random').mockReturnValue(1);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('sendQuery', () => {
+  it('posts the body to /api/query and resolves with the answer', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ answer: 'Yes', context: 'ctx' }));
+
+    expect(await sendQuery({ query: 'q' })).toEqual({ answer: 'Yes', context: 'ctx' });
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/query');
+    expect(options.method).toBe('POST');
+    expect(JSON.parse(options.body)).toEqual({ query: 'q' });
+  });
+
+  it('reports the answer so far as it streams in', async () => {
+    fetchMock.mockResolvedValue(streamResponse(['{"token": "a"}\n', '{"token": "b"}\n']));
+    const onToken = vi.fn();
+
+    await sendQuery({ query: 'q' }, { onToken });
+
+    expect(onToken.mock.calls.map(([answer]) => answer)).toEqual(['a', 'ab']);
+  });
+
+  it('rejects with the server\'s error message and status', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ error: 'Query is required' }, 400));
+
+    const error = await rejection(sendQuery({}, { retryPolicy: FAST_RETRIES }));
+
+    expect(error).toBeInstanceOf(QueryError);
+    expect(error).toMatchObject({ kind: 'http', status: 400, message: 'Query is required' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries server errors with growing delays until one succeeds', async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse({}, 503))
+      .mockResolvedValueOnce(jsonResponse({}, 502))
+      .mockResolvedValueOnce(jsonResponse({ answer: 'Finally' }));
+    const onRetry = vi.fn();
+
+    expect((await sendQuery({}, { onRetry, retryPolicy: FAST_RETRIES })).answer).toBe('Finally');
+    expect(onRetry.mock.calls.map(([retry]) => [retry.attempt, retry.delayMs, retry.error.status]))
+      .toEqual([[2, 1, 503], [3, 2, 502]]);
+  });
+
+  it('caps the backoff delay', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(jsonResponse({}, 500)));
+    const onRetry = vi.fn();
+
+    await rejection(sendQuery({}, { onRetry, retryPolicy: { ...FAST_RETRIES, maxAttempts: 6 } }));
+
+    expect(onRetry.mock.calls.map(([retry]) => retry.delayMs)).toEqual([1, 2, 4, 4, 4]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    fetchMock.mockImplementation(() => Promise.resolve(jsonResponse({}, 500)));
+
+    const error = await rejection(sendQuery({}, { retryPolicy: FAST_RETRIES }));
+
+    expect(error).toMatchObject({ kind: 'http', status: 500 });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('retries when the server cannot be reached', async () => {
+    fetchMock
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse({ answer: 'Back' }));
+
+    expect((await sendQuery({}, { retryPolicy: FAST_RETRIES })).answer).toBe('Back');
+  });
+
+  it('reports a network error once retries run out', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    expect(await rejection(sendQuery({}, { retryPolicy: FAST_RETRIES }))).toMatchObject({ kind: 'network' });
+  });
+
+  it('does not retry once answer text has been shown', async () => {
+    fetchMock.mockResolvedValue(streamResponse(['{"token": "Part"}\n', '{"error": "model crashed"}\n']));
+
+    const error = await rejection(sendQuery({}, { retryPolicy: FAST_RETRIES }));
+
+    expect(error).toMatchObject({ kind: 'backend', message: 'model crashed' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('times out when nothing arrives', async () => {
+    fetchMock.mockImplementation(hangingFetch);
+
+    const error = await rejection(sendQuery({}, { timeoutMs: 10, retryPolicy: FAST_RETRIES }));
+
+    expect(error).toMatchObject({ kind: 'timeout' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('is cancelled by the caller\'s signal', async () => {
+    fetchMock.mockImplementation(hangingFetch);
+    const controller = new AbortController();
+
+    const query = sendQuery({}, { signal: controller.signal, retryPolicy: FAST_RETRIES });
+    controller.abort();
+
+    expect(await rejection(query)).toMatchObject({ kind: 'cancelled' });
+  });
+
+  it('can be cancelled while waiting to retry', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({}, 503));
+    const controller = new AbortController();
+
+    const query = sendQuery({}, {
+      signal: controller.signal,
+      onRetry: () => controller.abort(),
+      retryPolicy: { ...FAST_RETRIES, baseDelayMs: 60000, maxDelayMs: 60000 }
+    });
+
+    expect(await rejection(query)).toMatchObject({ kind: 'cancelled' });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getQueryErrorMessage', () => {
+  it('explains each kind of failure', () => {
+    expect(getQueryErrorMessage(new QueryError('timeout', 'x'))).toBe('The server took too long to answer. Please try again.');
+    expect(getQueryErrorMessage(new QueryError('http', 'Bad gateway', 502))).toContain('(Bad gateway)');
+    expect(getQueryErrorMessage(new QueryError('http', 'Missing query', 400))).toBe('The question could not be answered: Missing query');
+    expect(getQueryErrorMessage(new Error('unexpected'))).toMatch(/^Failed to get response/);
+  });
+
+  it('words the message in the given locale', () => {
+    expect(getQueryErrorMessage(new QueryError('network', 'x'), 'es')).toBe('No se pudo contactar con el servidor. Comprueba tu conexión.');
+  });
+});
@@ -0,0 +1,104 @@
+// NextAuth configuration. Users sign in with local credentials from the
+// AUTH_USERS environment variable, and optionally through an OpenID Connect
+// provider when OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET are set.
+
+import { timingSafeEqual, createHash } from 'crypto';
+import CredentialsProvider from 'next-auth/providers/credentials';
+import { getServerSession } from 'next-auth/next';
+
+// AUTH_USERS is a comma-separated list of `username:password` pairs
+const parseLocalUsers = () => {
+  const users = new Map();
+  (process.env.AUTH_USERS || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) return;
+    users.set(entry.slice(0, separator).trim(), entry.slice(separator + 1));
+  });
+  return users;
+};
+
+// Compare fixed-length digests so the check takes the same time for any input
+const passwordsMatch = (given, expected) => {
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+};
+
+const localCredentialsProvider = () => CredentialsProvider({
+  id: 'credentials',
+  name: 'Username and password',
+  credentials: {
+    username: { label: 'Username', type: 'text' },
+    password: { label: 'Password', type: 'password' }
+  },
+  async authorize(credentials) {
+    const username = credentials?.username?.trim();
+    const password = credentials?.password ?? '';
+    if (!username) return null;
+
+    const expected = parseLocalUsers().get(username);
+    if (expected === undefined || !passwordsMatch(password, expected)) {
+      return null;
+    }
+    return { id: `local:${username}`, name: username };
+  }
+});
+
+const oidcProvider = () => {
+  const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+  return {
+    id: 'oidc',
+    name: process.env.OIDC_NAME || 'Single Sign-On',
+    type: 'oauth',
+    wellKnown: `${issuer}/.well-known/openid-configuration`,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    authorization: { params: { scope: 'openid email profile' } },
+    idToken: true,
+    checks: ['pkce', 'state'],
+    profile(profile) {
+      return {
+        id: `oidc:${profile.sub}`,
+        name: profile.name || profile.preferred_username || profile.email,
+        email: profile.email
+      };
+    }
+  };
+};
+
+// FEEDBACK_REVIEWERS is a comma-separated list of user ids (e.g.
+// `local:alice,oidc:1234`) allowed to read everyone's answer feedback
+export const isFeedbackReviewer = (userId) =>
+  Boolean(userId) && (process.env.FEEDBACK_REVIEWERS || '').split(',').map(id => id.trim()).includes(userId);
+
+export const isOidcConfigured = () =>
+  Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_CLIENT_SECRET);
+
+const buildProviders = () => {
+  const providers = [localCredentialsProvider()];
+  if (isOidcConfigured()) {
+    providers.push(oidcProvider());
+  }
+  return providers;
+};
+
+export const authOptions = {
+  providers: buildProviders(),
+  session: { strategy: 'jwt' },
+  pages: { signIn: '/login' },
+  callbacks: {
+    // Expose a stable user id to the client for per-user storage
+    async jwt({ token, user }) {
+      if (user) {
+        token.userId = user.id;
+      }
+      return token;
+    },
+    async session({ session, token }) {
+      const id = token.userId ?? token.sub;
+      session.user = { ...session.user, id, isReviewer: isFeedbackReviewer(id) };
+      return session;
+    }
+  }
+};
+
+export const getSession = (req, res) => getServerSession(req, res, authOptions);
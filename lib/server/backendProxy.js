@@ -0,0 +1,125 @@
+// Server-only helpers for API routes that proxy to the FastAPI backend.
+// The backend URL and credentials stay on the server: BACKEND_API_URL and the
+// optional BACKEND_API_KEY are never exposed to the browser.
+
+import { Readable } from 'stream';
+import { sendError, allowMethods, requireUser } from '@/lib/server/http';
+
+// Request headers worth forwarding to the backend
+const FORWARDED_REQUEST_HEADERS = ['content-type', 'accept', 'accept-language'];
+
+// Response headers worth passing back to the browser
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-disposition', 'location'];
+
+export const getBackendUrl = () => {
+  const baseUrl = process.env.BACKEND_API_URL;
+  return baseUrl ? baseUrl.replace(/\/$/, '') : null;
+};
+
+const readErrorMessage = async (response) => {
+  const text = await response.text();
+  try {
+    const data = JSON.parse(text);
+    const detail = data.detail ?? data.error ?? data.message;
+    if (typeof detail === 'string') return detail;
+    if (Array.isArray(detail) && detail[0]?.msg) return detail[0].msg;
+  } catch {
+    // Not a JSON error body
+  }
+  return text.trim().slice(0, 500) || `Backend responded with status ${response.status}`;
+};
+
+const buildHeaders = (req, user) => {
+  const headers = { 'x-user-id': user.id };
+  FORWARDED_REQUEST_HEADERS.forEach(name => {
+    if (req.headers[name]) {
+      headers[name] = req.headers[name];
+    }
+  });
+  if (process.env.BACKEND_API_KEY) {
+    headers.authorization = `Bearer ${process.env.BACKEND_API_KEY}`;
+  }
+  return headers;
+};
+
+const buildQueryString = (query, omit) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (omit.includes(key)) return;
+    [].concat(value).forEach(v => params.append(key, v));
+  });
+  const queryString = params.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+// Proxy the incoming request to `path` on the backend and stream the response
+// back. Only signed-in users are proxied. Routes that forward a request body
+// must export `config` with bodyParser disabled so the raw body is still
+// there to stream. Options:
+//   methods    - allowed HTTP methods (others get 405)
+//   omitQuery  - query keys that are route params, not backend query params
+export const proxyToBackend = async (req, res, path, { methods = ['GET'], omitQuery = [] } = {}) => {
+  if (!allowMethods(req, res, methods)) return;
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const backendUrl = getBackendUrl();
+  if (!backendUrl) {
+    sendError(res, 500, 'Backend URL is not configured. Set BACKEND_API_URL on the server.');
+    return;
+  }
+
+  // Stop the backend request if the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const hasBody = !['GET', 'HEAD'].includes(req.method);
+
+  let response;
+  try {
+    response = await fetch(`${backendUrl}${path}${buildQueryString(req.query, omitQuery)}`, {
+      method: req.method,
+      headers: buildHeaders(req, user),
+      body: hasBody ? Readable.toWeb(req) : undefined,
+      duplex: hasBody ? 'half' : undefined,
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error(`Backend request to ${path} failed:`, error);
+    sendError(res, 502, 'Backend is unreachable. Please check if the server is running.');
+    return;
+  }
+
+  if (!response.ok) {
+    sendError(res, response.status, await readErrorMessage(response));
+    return;
+  }
+
+  res.status(response.status);
+  FORWARDED_RESPONSE_HEADERS.forEach(name => {
+    const value = response.headers.get(name);
+    if (value) res.setHeader(name, value);
+  });
+  // no-transform keeps compression from buffering streamed answers
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  try {
+    for await (const chunk of response.body) {
+      res.write(chunk);
+    }
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error(`Streaming response from ${path} failed:`, error);
+    res.end();
+  }
+};
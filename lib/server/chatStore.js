@@ -0,0 +1,170 @@
+// JSON-file persistence for chat pages. Each user's pages live in their own
+// file under CHAT_STORE_DIR (default `.data/chats`). Writes for a user are
+// serialized and replace the file atomically.
+
+import path from 'path';
+import { createHash } from 'crypto';
+import { readJsonFile, writeJsonFile, withFileLock } from '@/lib/server/jsonFile';
+
+const STORE_VERSION = 1;
+
+const getStoreDir = () => path.resolve(process.env.CHAT_STORE_DIR || '.data/chats');
+
+// User ids can contain characters that aren't safe in file names
+const getUserFile = (userId) => {
+  const name = createHash('sha256').update(String(userId)).digest('hex').slice(0, 32);
+  return path.join(getStoreDir(), `${name}.json`);
+};
+
+export class ChatStoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ChatStoreError';
+    this.status = status;
+  }
+}
+
+const readPages = async (userId) => {
+  const data = await readJsonFile(getUserFile(userId));
+  return Array.isArray(data?.pages) ? data.pages : [];
+};
+
+const writePages = (userId, pages) =>
+  writeJsonFile(getUserFile(userId), { version: STORE_VERSION, pages });
+
+// Serialize each user's reads and writes so concurrent requests don't lose
+// each other's changes
+const withUserLock = (userId, task) => withFileLock(getUserFile(userId), task);
+
+// Read-modify-write: `change` receives the pages array and returns
+// `{ pages, result }`
+const updatePages = (userId, change) =>
+  withUserLock(userId, async () => {
+    const { pages, result } = change(await readPages(userId));
+    await writePages(userId, pages);
+    return result;
+  });
+
+const validatePage = (page, pageId) => {
+  if (!page || typeof page !== 'object' || Array.isArray(page)) {
+    throw new ChatStoreError(400, 'Chat page must be an object');
+  }
+  if (pageId !== undefined && page.id !== undefined && String(page.id) !== pageId) {
+    throw new ChatStoreError(400, 'Chat page id does not match the URL');
+  }
+  if (page.messages !== undefined && !Array.isArray(page.messages)) {
+    throw new ChatStoreError(400, 'Chat page messages must be an array');
+  }
+};
+
+const validateMessage = (message) => {
+  if (!message || typeof message !== 'object' || message.id === undefined) {
+    throw new ChatStoreError(400, 'Message must be an object with an id');
+  }
+};
+
+const validateMessageChanges = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ChatStoreError(400, 'Message changes must be an object');
+  }
+};
+
+const findPageIndex = (pages, pageId) => {
+  const index = pages.findIndex(page => String(page.id) === pageId);
+  if (index === -1) {
+    throw new ChatStoreError(404, 'Chat page not found');
+  }
+  return index;
+};
+
+export const listPages = (userId) => withUserLock(userId, () => readPages(userId));
+
+export const getPage = async (userId, pageId) => {
+  const pages = await listPages(userId);
+  return pages[findPageIndex(pages, pageId)];
+};
+
+export const createPage = (userId, page) => {
+  validatePage(page);
+  return updatePages(userId, (pages) => {
+    const newPage = {
+      title: 'New Chat',
+      messages: [],
+      createdAt: new Date().toISOString(),
+      ...page,
+      id: page.id !== undefined ? String(page.id) : Date.now().toString(),
+      updatedAt: new Date().toISOString()
+    };
+    if (pages.some(existing => existing.id === newPage.id)) {
+      throw new ChatStoreError(409, 'A chat page with this id already exists');
+    }
+    return { pages: [...pages, newPage], result: newPage };
+  });
+};
+
+// Create or replace a page, keeping its position if it already exists
+export const putPage = (userId, pageId, page) => {
+  validatePage(page, pageId);
+  return updatePages(userId, (pages) => {
+    const savedPage = {
+      messages: [],
+      ...page,
+      id: pageId,
+      updatedAt: new Date().toISOString()
+    };
+    const index = pages.findIndex(existing => existing.id === pageId);
+    if (index === -1) {
+      return { pages: [...pages, savedPage], result: savedPage };
+    }
+    return { pages: pages.map((existing, i) => (i === index ? savedPage : existing)), result: savedPage };
+  });
+};
+
+export const deletePage = (userId, pageId) =>
+  updatePages(userId, (pages) => {
+    findPageIndex(pages, pageId);
+    return { pages: pages.filter(page => page.id !== pageId), result: null };
+  });
+
+// Apply `change` to one page's messages array
+const updateMessages = (userId, pageId, change) =>
+  updatePages(userId, (pages) => {
+    const index = findPageIndex(pages, pageId);
+    const { messages, result } = change(pages[index].messages || []);
+    const updatedPage = { ...pages[index], messages, updatedAt: new Date().toISOString() };
+    return { pages: pages.map((page, i) => (i === index ? updatedPage : page)), result };
+  });
+
+const findMessageIndex = (messages, messageId) => {
+  const index = messages.findIndex(message => String(message.id) === messageId);
+  if (index === -1) {
+    throw new ChatStoreError(404, 'Message not found');
+  }
+  return index;
+};
+
+export const addMessage = (userId, pageId, message) => {
+  validateMessage(message);
+  return updateMessages(userId, pageId, (messages) => ({
+    messages: [...messages, message],
+    result: message
+  }));
+};
+
+// A message keeps its id and its place in the tree; only its content and
+// metadata can change
+export const updateMessage = (userId, pageId, messageId, changes) => {
+  validateMessageChanges(changes);
+  const { id: _id, parentId: _parentId, ...allowedChanges } = changes;
+  return updateMessages(userId, pageId, (messages) => {
+    const index = findMessageIndex(messages, messageId);
+    const updated = { ...messages[index], ...allowedChanges };
+    return { messages: messages.map((message, i) => (i === index ? updated : message)), result: updated };
+  });
+};
+
+export const deleteMessage = (userId, pageId, messageId) =>
+  updateMessages(userId, pageId, (messages) => {
+    findMessageIndex(messages, messageId);
+    return { messages: messages.filter(message => String(message.id) !== messageId), result: null };
+  });
@@ -0,0 +1,136 @@
+// Answer feedback from every user, kept in one JSON file (FEEDBACK_STORE_FILE,
+// default `.data/feedback.json`) so reviewers can see all of it. Each entry
+// stores the question, the answer and the context the answer was based on.
+// A user rating the same answer again replaces their earlier rating.
+
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { FEEDBACK_CATEGORIES } from '@/lib/feedback';
+import { getCitations, getContextText } from '@/lib/citations';
+import { readJsonFile, writeJsonFile, withFileLock } from '@/lib/server/jsonFile';
+
+const STORE_VERSION = 1;
+const RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 2000;
+
+const getStoreFile = () => path.resolve(process.env.FEEDBACK_STORE_FILE || '.data/feedback.json');
+
+export class FeedbackError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.status = status;
+  }
+}
+
+const readEntries = async () => {
+  const data = await readJsonFile(getStoreFile());
+  return Array.isArray(data?.entries) ? data.entries : [];
+};
+
+const validateFeedback = (input) => {
+  if (!input || typeof input !== 'object') {
+    throw new FeedbackError(400, 'Feedback must be an object');
+  }
+  if (input.messageId === undefined || input.messageId === null) {
+    throw new FeedbackError(400, 'Feedback must name the message it rates');
+  }
+  if (!RATINGS.includes(input.rating)) {
+    throw new FeedbackError(400, 'Rating must be "up" or "down"');
+  }
+  if (input.category && !FEEDBACK_CATEGORIES.some(category => category.id === input.category)) {
+    throw new FeedbackError(400, 'Unknown feedback category');
+  }
+  if (input.comment !== undefined && input.comment !== null && typeof input.comment !== 'string') {
+    throw new FeedbackError(400, 'Comment must be text');
+  }
+  if (typeof input.answer !== 'string') {
+    throw new FeedbackError(400, 'Feedback must include the answer');
+  }
+};
+
+export const saveFeedback = (user, input) => {
+  validateFeedback(input);
+  const file = getStoreFile();
+
+  return withFileLock(file, async () => {
+    const entries = await readEntries();
+    const index = entries.findIndex(entry =>
+      entry.userId === user.id && String(entry.messageId) === String(input.messageId)
+    );
+    const previous = index === -1 ? null : entries[index];
+    const now = new Date().toISOString();
+
+    const entry = {
+      id: previous?.id || randomUUID(),
+      userId: user.id,
+      userName: user.name || user.email || user.id,
+      pageId: input.pageId !== undefined && input.pageId !== null ? String(input.pageId) : null,
+      messageId: input.messageId,
+      rating: input.rating,
+      // Categories describe what was wrong, so they only apply to thumbs down
+      category: input.rating === 'down' ? input.category || null : null,
+      comment: (input.comment || '').trim().slice(0, MAX_COMMENT_LENGTH),
+      question: typeof input.question === 'string' ? input.question : '',
+      answer: input.answer,
+      context: input.context ?? null,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now
+    };
+
+    const nextEntries = previous
+      ? entries.map((existing, i) => (i === index ? entry : existing))
+      : [...entries, entry];
+    await writeJsonFile(file, { version: STORE_VERSION, entries: nextEntries });
+    return entry;
+  });
+};
+
+// Newest first; `rating` narrows the list to 'up' or 'down'
+export const listFeedback = async ({ rating } = {}) => {
+  const entries = await withFileLock(getStoreFile(), readEntries);
+  return entries
+    .filter(entry => !rating || entry.rating === rating)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+const CSV_COLUMNS = [
+  ['updatedAt', 'Date'],
+  ['userName', 'User'],
+  ['rating', 'Rating'],
+  ['category', 'Category'],
+  ['comment', 'Comment'],
+  ['question', 'Question'],
+  ['answer', 'Answer'],
+  ['sources', 'Sources'],
+  ['pageId', 'Chat ID'],
+  ['messageId', 'Message ID']
+];
+
+// One line per cited chunk, or the legacy context string
+const formatSources = (context) => {
+  const citations = getCitations(context);
+  if (citations) {
+    return citations
+      .map(citation => `[${citation.number}] ${citation.document}${citation.location ? `, ${citation.location}` : ''}`)
+      .join('\n');
+  }
+  return getContextText(context) || '';
+};
+
+const escapeCsvCell = (value) => {
+  let text = String(value ?? '');
+  // Keep spreadsheets from evaluating user text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const feedbackToCsv = (entries) => {
+  const rows = entries.map(entry => ({ ...entry, sources: formatSources(entry.context) }));
+  return [
+    CSV_COLUMNS.map(([, label]) => label),
+    ...rows.map(row => CSV_COLUMNS.map(([key]) => row[key]))
+  ]
+    .map(cells => cells.map(escapeCsvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
@@ -0,0 +1,47 @@
+// Shared helpers for the app's API routes
+
+import { getSession, isFeedbackReviewer } from '@/lib/server/auth';
+
+// Every API error reaches the browser as `{ error, status }`
+export const sendError = (res, status, message) => {
+  res.status(status).json({ error: message, status });
+};
+
+// Responds with 405 and returns false when the method isn't allowed
+export const allowMethods = (req, res, methods) => {
+  if (methods.includes(req.method)) return true;
+  res.setHeader('Allow', methods.join(', '));
+  sendError(res, 405, `Method ${req.method} not allowed`);
+  return false;
+};
+
+// Resolves to the signed-in user, or responds with 401 and resolves to null
+export const requireUser = async (req, res) => {
+  const session = await getSession(req, res);
+  if (!session?.user?.id) {
+    sendError(res, 401, 'You must be signed in.');
+    return null;
+  }
+  return session.user;
+};
+
+// Like requireUser, but also responds with 403 unless the user reviews feedback
+export const requireReviewer = async (req, res) => {
+  const user = await requireUser(req, res);
+  if (!user) return null;
+  if (!isFeedbackReviewer(user.id)) {
+    sendError(res, 403, 'Only feedback reviewers can see this.');
+    return null;
+  }
+  return user;
+};
+
+// Errors carrying an HTTP `status` are reported as-is; anything else is a 500
+export const sendCaughtError = (res, error) => {
+  if (error.status) {
+    sendError(res, error.status, error.message);
+    return;
+  }
+  console.error('API route failed:', error);
+  sendError(res, 500, 'Something went wrong. Please try again.');
+};
@@ -0,0 +1,37 @@
+// Helpers for the app's JSON-file stores: reads that treat a missing file as
+// empty, atomic writes, and per-file locks so concurrent requests don't lose
+// each other's updates.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Resolves to the parsed file, or null if it doesn't exist yet
+export const readJsonFile = async (file) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Write to a temporary file and rename it over the old one
+export const writeJsonFile = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify(data));
+  await fs.rename(tempFile, file);
+};
+
+// Per-file promise chains
+const fileQueues = new Map();
+
+export const withFileLock = (file, task) => {
+  const previous = fileQueues.get(file) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  fileQueues.set(file, next);
+  next.finally(() => {
+    if (fileQueues.get(file) === next) fileQueues.delete(file);
+  });
+  return next;
+};
@@ -0,0 +1,57 @@
+// Chat keyboard shortcuts. `mod` is Cmd on macOS and Ctrl elsewhere. Keys
+// are compared case-insensitively against KeyboardEvent.key.
+
+export const SHORTCUTS = [
+  { id: 'newChat', key: 'o', mod: true, shift: true },
+  { id: 'focusInput', key: 'Escape', shift: true },
+  { id: 'searchChats', key: 'k', mod: true },
+  { id: 'nextChat', key: 'ArrowDown', alt: true },
+  { id: 'previousChat', key: 'ArrowUp', alt: true },
+  { id: 'toggleSidebar', key: 'b', mod: true },
+  { id: 'stopGeneration', key: 'Escape' },
+  { id: 'showHelp', key: '/', mod: true }
+];
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc'
+};
+
+export const isMacPlatform = () =>
+  /Mac|iPhone|iPad/.test(navigator.userAgentData?.platform || navigator.platform || '');
+
+export const getShortcut = (id) => SHORTCUTS.find(shortcut => shortcut.id === id);
+
+// The shortcut a keydown event triggers, or null
+export const matchShortcut = (event, isMac) => {
+  const mod = isMac ? event.metaKey : event.ctrlKey;
+  // The other platform's modifier is never part of a shortcut
+  if (isMac ? event.ctrlKey : event.metaKey) return null;
+
+  return SHORTCUTS.find(shortcut =>
+    event.key.toLowerCase() === shortcut.key.toLowerCase() &&
+    mod === Boolean(shortcut.mod) &&
+    event.shiftKey === Boolean(shortcut.shift) &&
+    event.altKey === Boolean(shortcut.alt)
+  ) || null;
+};
+
+// Keys to show in the help overlay, e.g. ['Ctrl', 'Shift', 'O']
+export const getShortcutKeys = (shortcut, isMac) => [
+  ...(shortcut.mod ? [isMac ? '⌘' : 'Ctrl'] : []),
+  ...(shortcut.alt ? [isMac ? '⌥' : 'Alt'] : []),
+  ...(shortcut.shift ? [isMac ? '⇧' : 'Shift'] : []),
+  KEY_LABELS[shortcut.key] || shortcut.key.toUpperCase()
+];
+
+// Value for a control's aria-keyshortcuts attribute
+export const getAriaKeyShortcuts = (id, isMac) => {
+  const shortcut = getShortcut(id);
+  return [
+    ...(shortcut.mod ? [isMac ? 'Meta' : 'Control'] : []),
+    ...(shortcut.alt ? ['Alt'] : []),
+    ...(shortcut.shift ? ['Shift'] : []),
+    shortcut.key.length === 1 ? shortcut.key.toUpperCase() : shortcut.key
+  ].join('+');
+};
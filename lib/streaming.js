@@ -0,0 +1,136 @@
+// Helpers for reading /query responses that may arrive as a stream.
+// The backend can answer with Server-Sent Events (text/event-stream),
+// newline-delimited JSON (application/x-ndjson) or a single JSON body.
+
+export const QUERY_ACCEPT_HEADER = 'text/event-stream, application/x-ndjson, application/json';
+
+const isEventStream = (contentType) => contentType.includes('text/event-stream');
+
+const isNdjson = (contentType) =>
+  contentType.includes('application/x-ndjson') ||
+  contentType.includes('application/jsonl') ||
+  contentType.includes('application/stream+json');
+
+// Apply one decoded event to the accumulated result.
+// Events can be `{ token }` / `{ delta }` chunks, a final `{ answer, context }`,
+// a bare string token, or `{ error }`.
+const applyEvent = (result, event, onToken) => {
+  if (typeof event === 'string') {
+    result.answer += event;
+    onToken(result.answer);
+    return;
+  }
+  if (!event || typeof event !== 'object') return;
+
+  if (event.error) {
+    throw new Error(typeof event.error === 'string' ? event.error : 'Stream error');
+  }
+
+  const token = event.token ?? event.delta ?? (event.type === 'token' ? event.content : undefined);
+  if (typeof token === 'string') {
+    result.answer += token;
+    onToken(result.answer);
+  }
+
+  if (typeof event.answer === 'string') {
+    result.answer = event.answer;
+    onToken(result.answer);
+  }
+
+  if (event.context !== undefined) {
+    result.context = event.context;
+  }
+};
+
+const parseData = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+// Read a ReadableStream line by line, calling onLine for every complete line.
+const readLines = async (body, onLine) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      if (onLine(line) === false) {
+        reader.cancel();
+        return;
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) onLine(buffer.replace(/\r$/, ''));
+};
+
+const readEventStream = async (body, result, onToken) => {
+  let dataLines = [];
+  let finished = false;
+
+  const dispatch = () => {
+    if (dataLines.length === 0) return;
+    const data = dataLines.join('\n');
+    dataLines = [];
+    if (data === '[DONE]') {
+      finished = true;
+      return;
+    }
+    applyEvent(result, parseData(data), onToken);
+  };
+
+  await readLines(body, (line) => {
+    if (line === '') {
+      dispatch();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+    // Comments (":") and other fields (event, id, retry) are ignored
+    return !finished;
+  });
+  dispatch();
+};
+
+const readNdjson = async (body, result, onToken) => {
+  await readLines(body, (line) => {
+    if (!line.trim()) return true;
+    applyEvent(result, parseData(line), onToken);
+    return true;
+  });
+};
+
+// Read a /query response, calling onToken with the answer text so far each time
+// more of it arrives. Resolves with the final `{ answer, context }`.
+export const readQueryResponse = async (response, onToken = () => {}) => {
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  const result = { answer: '', context: undefined };
+
+  if (response.body && isEventStream(contentType)) {
+    await readEventStream(response.body, result, onToken);
+    return result;
+  }
+
+  if (response.body && isNdjson(contentType)) {
+    await readNdjson(response.body, result, onToken);
+    return result;
+  }
+
+  // Single-shot JSON response
+  const data = await response.json();
+  result.answer = data.answer ?? '';
+  result.context = data.context;
+  onToken(result.answer);
+  return result;
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readQueryResponse } from '@/lib/streaming';
+
+// A streamed response delivered in the given chunks, so tests can split
+// lines and events at awkward places
+const streamResponse = (chunks, contentType) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { headers: { 'Content-Type': contentType } });
+};
+
+describe('readQueryResponse', () => {
+  describe('Server-Sent Events', () => {
+    it('joins tokens split across chunks and reports the answer so far', async () => {
+      const onToken = vi.fn();
+      const response = streamResponse([
+        'data: {"token": "Hel"}\n\ndata: {"tok',
+        'en": "lo"}\n\n',
+        'data: {"context": [{"document": "a.pdf"}]}\n\n',
+        'data: [DONE]\n\n'
+      ], 'text/event-stream');
+
+      const result = await readQueryResponse(response, onToken);
+
+      expect(result).toEqual({ answer: 'Hello', context: [{ document: 'a.pdf' }] });
+      expect(onToken.mock.calls.map(([answer]) => answer)).toEqual(['Hel', 'Hello']);
+    });
+
+    it('ignores comments and other fields, and handles CRLF line endings', async () => {
+      const response = streamResponse([
+        ': keep-alive\r\n\r\n',
+        'event: message\r\nid: 1\r\ndata: {"delta": "Hi"}\r\n\r\n'
+      ], 'text/event-stream; charset=utf-8');
+
+      expect((await readQueryResponse(response)).answer).toBe('Hi');
+    });
+
+    it('stops reading at [DONE]', async () => {
+      const response = streamResponse([
+        'data: {"token": "done"}\n\ndata: [DONE]\n\ndata: {"token": " and more"}\n\n'
+      ], 'text/event-stream');
+
+      expect((await readQueryResponse(response)).answer).toBe('done');
+    });
+
+    it('treats data that is not JSON as a text token', async () => {
+      const response = streamResponse(['data: plain\n\ndata:  text\n\n'], 'text/event-stream');
+
+      expect((await readQueryResponse(response)).answer).toBe('plain text');
+    });
+
+    it('lets a final answer replace the streamed tokens', async () => {
+      const response = streamResponse([
+        'data: {"token": "draft"}\n\n',
+        'data: {"answer": "final"}\n\n'
+      ], 'text/event-stream');
+
+      expect((await readQueryResponse(response)).answer).toBe('final');
+    });
+
+    it('dispatches an event left without a trailing blank line', async () => {
+      const response = streamResponse(['data: {"token": "end"}'], 'text/event-stream');
+
+      expect((await readQueryResponse(response)).answer).toBe('end');
+    });
+
+    it('rejects with the error the stream reports', async () => {
+      const response = streamResponse([
+        'data: {"token": "Hi"}\n\n',
+        'data: {"error": "model crashed"}\n\n'
+      ], 'text/event-stream');
+
+      await expect(readQueryResponse(response)).rejects.toThrow('model crashed');
+    });
+  });
+
+  describe('newline-delimited JSON', () => {
+    it('reads one event per line, including one split across chunks', async () => {
+      const response = streamResponse([
+        '{"token": "A"}\n{"type": "token", "con',
+        'tent": "B"}\n\n{"answer": "AB", "context": "ctx"}'
+      ], 'application/x-ndjson');
+
+      expect(await readQueryResponse(response)).toEqual({ answer: 'AB', context: 'ctx' });
+    });
+
+    it('accepts the other JSON lines content types', async () => {
+      const jsonl = streamResponse(['{"token": "x"}\n'], 'application/jsonl');
+      const streamJson = streamResponse(['{"token": "y"}\n'], 'application/stream+json');
+
+      expect((await readQueryResponse(jsonl)).answer).toBe('x');
+      expect((await readQueryResponse(streamJson)).answer).toBe('y');
+    });
+
+    it('rejects when a line reports an error', async () => {
+      const response = streamResponse(['{"error": {"code": 500}}\n'], 'application/x-ndjson');
+
+      await expect(readQueryResponse(response)).rejects.toThrow('Stream error');
+    });
+  });
+
+  describe('plain JSON', () => {
+    it('returns the answer and context in one go', async () => {
+      const onToken = vi.fn();
+      const response = Response.json({ answer: 'Full answer', context: 'ctx' });
+
+      expect(await readQueryResponse(response, onToken)).toEqual({ answer: 'Full answer', context: 'ctx' });
+      expect(onToken).toHaveBeenCalledWith('Full answer');
+    });
+
+    it('treats a missing answer as empty', async () => {
+      const response = Response.json({ context: [] });
+
+      expect(await readQueryResponse(response)).toEqual({ answer: '', context: [] });
+    });
+  });
+});
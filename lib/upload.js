@@ -0,0 +1,60 @@
+// Single-file upload with byte-level progress. fetch() can't report upload
+// progress, so this uses XMLHttpRequest.
+
+import { DEFAULT_LOCALE, translate } from '@/lib/i18n';
+
+const getErrorReason = (xhr, locale) => {
+  try {
+    const data = JSON.parse(xhr.responseText);
+    const detail = data.detail ?? data.error ?? data.message;
+    if (typeof detail === 'string') return detail;
+  } catch {
+    // Not a JSON error body
+  }
+  return translate(locale, 'upload.httpError', { status: xhr.status });
+};
+
+// Upload one file as the `files` multipart field, plus any extra `fields`.
+// onProgress receives a 0-100 percentage while bytes are sent; onUploaded
+// fires once the body is fully sent and the server is processing it. Errors
+// of our own are worded in `locale`; the server's are passed on as sent.
+export const uploadFile = (url, file, {
+  fields = {},
+  onProgress = () => {},
+  onUploaded = () => {},
+  locale = DEFAULT_LOCALE
+} = {}) => {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const formData = new FormData();
+    formData.append('files', file);
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+    xhr.upload.onload = () => {
+      onProgress(100);
+      onUploaded();
+    };
+
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(getErrorReason(xhr, locale)));
+        return;
+      }
+      try {
+        resolve(JSON.parse(xhr.responseText));
+      } catch {
+        resolve({});
+      }
+    };
+    xhr.onerror = () => reject(new Error(translate(locale, 'upload.networkError')));
+    xhr.onabort = () => reject(new Error(translate(locale, 'upload.cancelled')));
+
+    xhr.open('POST', url);
+    xhr.send(formData);
+  });
+};
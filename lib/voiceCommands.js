@@ -0,0 +1,86 @@
+// Spoken commands for hands-free dictation. A command only counts when it is
+// said on its own, after a pause, so questions such as "how do I clear my
+// leave balance" are dictated rather than acted on.
+
+const COMMAND_IDS = ['send', 'clear', 'newChat', 'stopListening'];
+
+// Phrases per dictation language (the language subtag of a VOICE_LANGUAGES
+// id), since the recognizer transcribes in that language. The first phrase of
+// each command is the one shown in hints.
+const COMMAND_PHRASES = {
+  en: {
+    send: ['send', 'send it', 'send message'],
+    clear: ['clear', 'clear message'],
+    newChat: ['new chat'],
+    stopListening: ['stop listening']
+  },
+  es: {
+    send: ['enviar', 'envíalo', 'enviar mensaje'],
+    clear: ['borrar', 'borrar mensaje'],
+    newChat: ['nuevo chat', 'nueva conversación'],
+    stopListening: ['deja de escuchar', 'dejar de escuchar']
+  },
+  fr: {
+    send: ['envoyer', 'envoie', 'envoyer le message'],
+    clear: ['effacer', 'effacer le message'],
+    newChat: ['nouveau chat', 'nouvelle conversation'],
+    stopListening: ['arrête d’écouter', 'arrête d\'écouter']
+  },
+  de: {
+    send: ['senden', 'absenden', 'nachricht senden'],
+    clear: ['löschen', 'nachricht löschen'],
+    newChat: ['neuer chat'],
+    stopListening: ['zuhören beenden', 'hör auf zuzuhören']
+  },
+  pt: {
+    send: ['enviar', 'enviar mensagem'],
+    clear: ['limpar', 'limpar mensagem'],
+    newChat: ['novo chat', 'nova conversa'],
+    stopListening: ['parar de ouvir', 'pare de ouvir']
+  },
+  hi: {
+    send: ['भेजो', 'भेजें', 'मैसेज भेजो'],
+    clear: ['साफ़ करो', 'साफ करो', 'मिटाओ'],
+    newChat: ['नई चैट'],
+    stopListening: ['सुनना बंद करो']
+  },
+  ar: {
+    send: ['أرسل', 'إرسال'],
+    clear: ['امسح', 'مسح'],
+    newChat: ['محادثة جديدة'],
+    stopListening: ['توقف عن الاستماع']
+  },
+  zh: {
+    send: ['发送'],
+    clear: ['清除'],
+    newChat: ['新聊天', '新对话'],
+    stopListening: ['停止聆听', '停止监听']
+  },
+  ja: {
+    send: ['送信'],
+    clear: ['クリア', '消去'],
+    newChat: ['新しいチャット'],
+    stopListening: ['聞き取り停止']
+  }
+};
+
+// Combining marks are kept: Devanagari vowel signs are marks, not letters
+const normalize = (text) =>
+  text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+// The commands for a dictation language such as 'es-ES', falling back to
+// English when the language has no phrases of its own
+export const getVoiceCommands = (language) => {
+  const phrases = COMMAND_PHRASES[String(language).split('-')[0]] || COMMAND_PHRASES.en;
+  return COMMAND_IDS.map(id => ({
+    id,
+    phrases: phrases[id].map(normalize),
+    label: `“${phrases[id][0]}”`
+  }));
+};
+
+// The id of the command `transcript` consists of, or null for dictated text
+export const getVoiceCommand = (transcript, language) => {
+  const spoken = normalize(transcript);
+  return getVoiceCommands(language).find(command => command.phrases.includes(spoken))?.id ?? null;
+};
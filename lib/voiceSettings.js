@@ -0,0 +1,89 @@
+// Per-user voice preferences, kept in localStorage: the language questions
+// are dictated in, and how answers are read aloud.
+
+const getStorageKey = (userId) => `voiceSettings:${userId}`;
+
+// Languages offered for dictation. Answers are read in the same language
+// unless a specific voice is picked.
+export const VOICE_LANGUAGES = [
+  { id: 'en-US', label: 'English (US)' },
+  { id: 'en-GB', label: 'English (UK)' },
+  { id: 'en-IN', label: 'English (India)' },
+  { id: 'hi-IN', label: 'हिन्दी' },
+  { id: 'es-ES', label: 'Español' },
+  { id: 'fr-FR', label: 'Français' },
+  { id: 'de-DE', label: 'Deutsch' },
+  { id: 'pt-BR', label: 'Português (Brasil)' },
+  { id: 'ar-SA', label: 'العربية' },
+  { id: 'zh-CN', label: '中文 (简体)' },
+  { id: 'ja-JP', label: '日本語' }
+];
+
+export const SPEECH_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+export const SILENCE_TIMEOUTS_SECONDS = [5, 10, 15, 30, 60];
+
+// `voiceURI` null means the browser's default voice for `language`.
+// `handsFree` keeps the microphone on and listens for spoken commands until
+// nothing has been said for `silenceTimeoutSeconds`.
+export const DEFAULT_VOICE_SETTINGS = {
+  language: 'en-US',
+  voiceURI: null,
+  rate: 1,
+  autoRead: false,
+  handsFree: false,
+  silenceTimeoutSeconds: 15
+};
+
+export const loadVoiceSettings = (userId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getStorageKey(userId)));
+    return { ...DEFAULT_VOICE_SETTINGS, ...saved };
+  } catch {
+    return DEFAULT_VOICE_SETTINGS;
+  }
+};
+
+export const saveVoiceSettings = (userId, settings) => {
+  localStorage.setItem(getStorageKey(userId), JSON.stringify(settings));
+};
+
+// Voices for `language` first, then the rest, each group by name
+export const sortVoices = (voices, language) => {
+  const prefix = language.split('-')[0];
+  const rank = (voice) => (voice.lang === language ? 0 : voice.lang.startsWith(prefix) ? 1 : 2);
+  return [...voices].sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+};
+
+// Markdown answers read as plain prose: code blocks, link targets, citation
+// markers like [1] and formatting characters are dropped
+export const getSpeakableText = (markdown) =>
+  String(markdown || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s*\[\d+\]/g, '')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Some browsers stop reading a single long utterance after about 15 seconds,
+// so text is queued as sentence-sized chunks
+const MAX_CHUNK_LENGTH = 200;
+
+export const splitIntoChunks = (text) => {
+  const sentences = text.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [];
+  const chunks = [];
+  sentences.forEach(sentence => {
+    for (let start = 0; start < sentence.length; start += MAX_CHUNK_LENGTH) {
+      const piece = sentence.slice(start, start + MAX_CHUNK_LENGTH);
+      const last = chunks[chunks.length - 1];
+      if (last && start === 0 && last.length + piece.length <= MAX_CHUNK_LENGTH) {
+        chunks[chunks.length - 1] = last + piece;
+      } else {
+        chunks.push(piece);
+      }
+    }
+  });
+  return chunks.map(chunk => chunk.trim()).filter(Boolean);
+};
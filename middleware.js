@@ -0,0 +1,10 @@
+import { withAuth } from 'next-auth/middleware';
+
+// Signed-out visitors to these pages are sent to /login and brought back after
+export default withAuth({
+  pages: { signIn: '/login' }
+});
+
+export const config = {
+  matcher: ['/chat', '/ingest', '/library', '/feedback', '/status']
+};
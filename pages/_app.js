@@ -1,5 +1,13 @@
 import "@/styles/globals.css";
+import { SessionProvider } from "next-auth/react";
+import I18nProvider from "@/components/I18nProvider";
 
-export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+export default function App({ Component, pageProps: { session, ...pageProps } }) {
+  return (
+    <SessionProvider session={session}>
+      <I18nProvider>
+        <Component {...pageProps} />
+      </I18nProvider>
+    </SessionProvider>
+  );
 }
@@ -0,0 +1,31 @@
+import { allowMethods, requireUser, sendCaughtError } from '@/lib/server/http';
+import { getPage, putPage, deletePage } from '@/lib/server/chatStore';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+// PUT creates the page if it doesn't exist yet, so clients can save pages
+// they created offline with their own ids
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'PUT', 'DELETE'])) return;
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { pageId } = req.query;
+
+  try {
+    if (req.method === 'GET') {
+      res.status(200).json({ page: await getPage(user.id, pageId) });
+    } else if (req.method === 'PUT') {
+      res.status(200).json({ page: await putPage(user.id, pageId, req.body) });
+    } else {
+      await deletePage(user.id, pageId);
+      res.status(204).end();
+    }
+  } catch (error) {
+    sendCaughtError(res, error);
+  }
+}
@@ -0,0 +1,27 @@
+import { allowMethods, requireUser, sendCaughtError } from '@/lib/server/http';
+import { updateMessage, deleteMessage } from '@/lib/server/chatStore';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['PATCH', 'DELETE'])) return;
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const { pageId, messageId } = req.query;
+
+  try {
+    if (req.method === 'PATCH') {
+      res.status(200).json({ message: await updateMessage(user.id, pageId, messageId, req.body) });
+    } else {
+      await deleteMessage(user.id, pageId, messageId);
+      res.status(204).end();
+    }
+  } catch (error) {
+    sendCaughtError(res, error);
+  }
+}
@@ -0,0 +1,20 @@
+import { allowMethods, requireUser, sendCaughtError } from '@/lib/server/http';
+import { addMessage } from '@/lib/server/chatStore';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    res.status(201).json({ message: await addMessage(user.id, req.query.pageId, req.body) });
+  } catch (error) {
+    sendCaughtError(res, error);
+  }
+}
@@ -0,0 +1,24 @@
+import { allowMethods, requireUser, sendCaughtError } from '@/lib/server/http';
+import { listPages, createPage } from '@/lib/server/chatStore';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '10mb' }
+  }
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    if (req.method === 'GET') {
+      res.status(200).json({ pages: await listPages(user.id) });
+    } else {
+      res.status(201).json({ page: await createPage(user.id, req.body) });
+    }
+  } catch (error) {
+    sendCaughtError(res, error);
+  }
+}
@@ -0,0 +1,20 @@
+// Deletes a document or replaces it with a new version (multipart upload)
+
+import { proxyToBackend } from '@/lib/server/backendProxy';
+
+// Replacement uploads are forwarded as the raw multipart stream, so Next.js
+// must not parse them
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default function handler(req, res) {
+  const { documentId } = req.query;
+  return proxyToBackend(req, res, `/documents/${encodeURIComponent(documentId)}`, {
+    methods: ['PUT', 'DELETE'],
+    omitQuery: ['documentId']
+  });
+}
@@ -0,0 +1,59 @@
+import { allowMethods, requireUser, requireReviewer, sendError, sendCaughtError } from '@/lib/server/http';
+import { saveFeedback, listFeedback, feedbackToCsv } from '@/lib/server/feedbackStore';
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '2mb' }
+  }
+};
+
+const RATING_FILTERS = ['up', 'down', 'all'];
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// GET  ?rating=down|up|all (default down) lists feedback for reviewers;
+//      add &format=csv|json to download it as a file
+// POST saves the signed-in user's rating of one answer
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+
+  try {
+    if (req.method === 'POST') {
+      const user = await requireUser(req, res);
+      if (!user) return;
+      res.status(200).json({ feedback: await saveFeedback(user, req.body) });
+      return;
+    }
+
+    const user = await requireReviewer(req, res);
+    if (!user) return;
+
+    const rating = req.query.rating || 'down';
+    const format = req.query.format;
+    if (!RATING_FILTERS.includes(rating)) {
+      sendError(res, 400, 'rating must be one of: up, down, all');
+      return;
+    }
+    if (format !== undefined && !EXPORT_FORMATS.includes(format)) {
+      sendError(res, 400, 'format must be csv or json');
+      return;
+    }
+
+    const entries = await listFeedback({ rating: rating === 'all' ? undefined : rating });
+    if (!format) {
+      res.status(200).json({ feedback: entries });
+      return;
+    }
+
+    const fileName = `feedback-${rating}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.status(200).send(feedbackToCsv(entries));
+    } else {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.status(200).send(JSON.stringify({ exportedAt: new Date().toISOString(), feedback: entries }, null, 2));
+    }
+  } catch (error) {
+    sendCaughtError(res, error);
+  }
+}
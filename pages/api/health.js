@@ -0,0 +1,5 @@
+import { proxyToBackend } from '@/lib/server/backendProxy';
+
+export default function handler(req, res) {
+  return proxyToBackend(req, res, '/health');
+}
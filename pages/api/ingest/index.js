@@ -0,0 +1,15 @@
+// Proxies multipart document uploads to the backend
+
+import { proxyToBackend } from '@/lib/server/backendProxy';
+
+// Uploads are forwarded as the raw multipart stream, so Next.js must not parse them
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default function handler(req, res) {
+  return proxyToBackend(req, res, '/ingest', { methods: ['POST'] });
+}
@@ -0,0 +1,6 @@
+import { proxyToBackend } from '@/lib/server/backendProxy';
+
+export default function handler(req, res) {
+  const { jobId } = req.query;
+  return proxyToBackend(req, res, `/ingest/jobs/${encodeURIComponent(jobId)}`, { omitQuery: ['jobId'] });
+}
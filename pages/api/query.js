@@ -0,0 +1,15 @@
+// Proxies chat queries to the backend, passing streamed answers through
+
+import { proxyToBackend } from '@/lib/server/backendProxy';
+
+// The question is forwarded unparsed, and the streamed answer can be any size
+export const config = {
+  api: {
+    bodyParser: false,
+    responseLimit: false
+  }
+};
+
+export default function handler(req, res) {
+  return proxyToBackend(req, res, '/query', { methods: ['POST'] });
+}
@@ -1,34 +1,196 @@
 'use client'
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { flushSync } from 'react-dom';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import dynamic from 'next/dynamic';
+import { useSession, signOut } from 'next-auth/react';
+import { sendQuery, getQueryErrorMessage } from '@/lib/queryClient';
+import { buildHistory } from '@/lib/history';
+import useChatSync from '@/hooks/useChatSync';
+import { loadUnclaimedChatPages, discardUnclaimedChatPages } from '@/lib/chatStorage';
+import useBackendStatus from '@/hooks/useBackendStatus';
+import useQuestionQueue from '@/hooks/useQuestionQueue';
+import useVoiceSettings from '@/hooks/useVoiceSettings';
+import useSpeechSynthesis from '@/hooks/useSpeechSynthesis';
+import { getCitations, getContextText } from '@/lib/citations';
+import { CitationChips, CitationPanel } from '@/components/Citations';
+import MarkdownMessage from '@/components/MarkdownMessage';
+import CopyButton from '@/components/CopyButton';
+import ExportMenu from '@/components/ExportMenu';
+import ChatSearchResults from '@/components/ChatSearchResults';
+import { buildSearchIndex, searchChats } from '@/lib/chatSearch';
+import {
+  getActivePath,
+  getBranchInfo,
+  addMessageToPage,
+  selectBranch,
+  updateMessageInPage,
+  replaceMessageInPage
+} from '@/lib/messageTree';
+import BranchSwitcher from '@/components/BranchSwitcher';
+import FeedbackControls from '@/components/FeedbackControls';
+import { submitFeedback } from '@/lib/feedback';
+import {
+  DEFAULT_CHAT_TITLE,
+  isTrashed,
+  isUntitled,
+  getFolders,
+  groupChatPages,
+  getTrashedPages
+} from '@/lib/chatOrganize';
+import ChatPageItem from '@/components/ChatPageItem';
+import ChatTrash from '@/components/ChatTrash';
+import ConnectionStatus from '@/components/ConnectionStatus';
+import QueuedQuestions from '@/components/QueuedQuestions';
+import VoiceMenu from '@/components/VoiceMenu';
+import SpeakControls from '@/components/SpeakControls';
+import { getVoiceCommand, getVoiceCommands } from '@/lib/voiceCommands';
+import LanguageSwitcher from '@/components/LanguageSwitcher';
+import useTranslation from '@/hooks/useTranslation';
+import useKeyboardShortcuts from '@/hooks/useKeyboardShortcuts';
+import ShortcutsHelp from '@/components/ShortcutsHelp';
+import { getAriaKeyShortcuts, isMacPlatform } from '@/lib/shortcuts';
+import { getSpeakableText } from '@/lib/voiceSettings';
+import {
+  chatsToMarkdown,
+  chatsToJson,
+  downloadFile,
+  getExportFileName,
+  printChats,
+  parseChatImport,
+  importChatPages
+} from '@/lib/chatExport';
 
-// Sample question suggestions
+// Sample question suggestions, as catalog keys
 const QUESTION_SUGGESTIONS = [
-  "What are the main topics covered in the documents?",
-  "Summarize the key findings from some policies",
-  "What is shift allowance policy?",
-  "Explain the different policies"
+  'chat.suggestions.topics',
+  'chat.suggestions.findings',
+  'chat.suggestions.shiftAllowance',
+  'chat.suggestions.policies'
 ];
 
+// Catalog keys for the sidebar sections that aren't folders
+const SECTION_LABELS = {
+  'pinned': 'chat.sections.pinned',
+  'date:Today': 'chat.sections.today',
+  'date:Last 7 days': 'chat.sections.lastWeek',
+  'date:Older': 'chat.sections.older'
+};
+
+const createEmptyPage = () => ({
+  id: Date.now().toString(),
+  title: DEFAULT_CHAT_TITLE,
+  messages: [],
+  historyEnabled: true,
+  createdAt: new Date().toISOString()
+});
+
 export default function ChatPage() {
   const router = useRouter();
-  const [chatPages, setChatPages] = useState([]);
+  const { data: session } = useSession();
+  const { t, locale, formatDate } = useTranslation();
+  const userId = session?.user?.id;
   const [currentPageId, setCurrentPageId] = useState(null);
-  const [messages, setMessages] = useState([]);
+  // Answer being requested: `{ pageId, parentId, message }`, where message is
+  // the partial answer once streaming starts
+  const [pendingAnswer, setPendingAnswer] = useState(null);
+  const [editing, setEditing] = useState(null);
+  // `{ attempt, maxAttempts, delayMs }` while a failed request is being retried
+  const [retryStatus, setRetryStatus] = useState(null);
+  const abortControllerRef = useRef(null);
+  const sendQueuedRef = useRef(null);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [mounted, setMounted] = useState(false);
+  const [activeCitation, setActiveCitation] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashNotice, setTrashNotice] = useState(null);
+  // Chats cached before sign-in existed, offered to the user to claim
+  const [unclaimedPages, setUnclaimedPages] = useState(null);
   const messagesEndRef = useRef(null);
+  const importInputRef = useRef(null);
+  const inputRef = useRef(null);
+  const searchInputRef = useRef(null);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Read out by screen readers through the polite live region
+  const [announcement, setAnnouncement] = useState('');
+  const shortcutHandlersRef = useRef({});
 
   // Speech recognition state
   const [listening, setListening] = useState(false);
   const [browserSupportsRecognition, setBrowserSupportsRecognition] = useState(false);
   const recognitionRef = useRef(null);
   const recognitionTimeoutRef = useRef(null);
+  // Whether to restart recognition when the browser ends it (hands-free mode)
+  const keepListeningRef = useRef(false);
+  const handleDictationRef = useRef(null);
+  // Words heard but not final yet, shown over the input in hands-free mode
+  const [interimTranscript, setInterimTranscript] = useState('');
+
+  // Switch to the last chat that isn't in the trash, or start a new one
+  const showFallbackPage = (pages) => {
+    const activePages = pages.filter(page => !isTrashed(page));
+    setActiveCitation(null);
+    if (activePages.length > 0) {
+      const page = activePages[activePages.length - 1];
+      setCurrentPageId(page.id);
+    } else {
+      const firstPage = createEmptyPage();
+      setChatPages(prev => [...prev, firstPage]);
+      setCurrentPageId(firstPage.id);
+    }
+  };
+
+  // Pick the page to show once chats load from the cache and then the server
+  const handlePagesLoaded = (pages, { final }) => {
+    if (pages.some(p => p.id === currentPageId && !isTrashed(p))) return;
+
+    // Create first page if none exist
+    if (final || pages.some(p => !isTrashed(p))) {
+      showFallbackPage(pages);
+    }
+  };
+
+  // Move off the open chat if another tab deleted or trashed it
+  const handleRemoteChange = (change, pages) => {
+    const changedPageId = change.type === 'upsert' ? change.page.id : change.pageId;
+    if (changedPageId !== currentPageId) return;
+
+    if (change.type === 'delete' || isTrashed(change.page)) {
+      showFallbackPage(pages);
+    }
+  };
+
+  const { chatPages, setChatPages, syncState } = useChatSync({
+    userId,
+    onPagesLoaded: handlePagesLoaded,
+    onRemoteChange: handleRemoteChange
+  });
+
+  useEffect(() => {
+    if (userId) {
+      setUnclaimedPages(loadUnclaimedChatPages());
+    }
+  }, [userId]);
+
+  const { status: backendStatus, readiness, lastCheckedAt, checkNow } = useBackendStatus();
+  const { queue, enqueue, removeQueued } = useQuestionQueue(userId);
+  const [voiceSettings, updateVoiceSettings] = useVoiceSettings(userId);
+  const {
+    supported: canSpeak,
+    voices,
+    speakingId,
+    paused: speechPaused,
+    speak,
+    pause: pauseSpeech,
+    resume: resumeSpeech,
+    stop: stopSpeech
+  } = useSpeechSynthesis(voiceSettings);
 
   // Handle mounting and speech recognition initialization
   useEffect(() => {
@@ -40,40 +202,70 @@ export default function ChatPage() {
     }
   }, []);
 
-  // Load chat pages from localStorage on component mount
-  useEffect(() => {
-    if (!mounted) return;
-
-    const savedPages = localStorage.getItem('chatPages');
-    if (savedPages) {
-      const pages = JSON.parse(savedPages);
-      setChatPages(pages);
-      if (pages.length > 0) {
-        const lastPage = pages[pages.length - 1];
-        setCurrentPageId(lastPage.id);
-        setMessages(lastPage.messages || []);
-      }
-    } else {
-      // Create first page if none exist
-      createNewPage();
+  // The transcript is the page's selected branch. While an answer is pending
+  // it is cut after the question being answered, followed by the partial answer.
+  const messages = useMemo(() => {
+    const path = getActivePath(chatPages.find(page => page.id === currentPageId));
+    if (pendingAnswer?.pageId !== currentPageId) return path;
+    if (pendingAnswer.replaceMessageId !== undefined) {
+      return path.map(message => (message.id === pendingAnswer.replaceMessageId ? pendingAnswer.message : message));
     }
-  }, [mounted]);
+
+    const parentIndex = path.findIndex(message => message.id === pendingAnswer.parentId);
+    const base = path.slice(0, parentIndex + 1);
+    return pendingAnswer.message ? [...base, pendingAnswer.message] : base;
+  }, [chatPages, currentPageId, pendingAnswer]);
 
   // Auto-scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
-  // Save pages to localStorage whenever chatPages changes
+  // Bring a message picked from the search results into view, then fade the highlight
   useEffect(() => {
-    if (chatPages.length > 0 && mounted) {
-      localStorage.setItem('chatPages', JSON.stringify(chatPages));
-    }
-  }, [chatPages, mounted]);
+    if (!highlightedMessageId) return;
+    document.getElementById(`message-${highlightedMessageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId, messages]);
+
+  // Hide the undo prompt after a few seconds
+  useEffect(() => {
+    if (!trashNotice) return;
+    const timeout = setTimeout(() => setTrashNotice(null), 6000);
+    return () => clearTimeout(timeout);
+  }, [trashNotice]);
+
+  const activePages = useMemo(() => chatPages.filter(page => !isTrashed(page)), [chatPages]);
+  const searchIndex = useMemo(() => buildSearchIndex(activePages), [activePages]);
+  const searchResults = useMemo(() => searchChats(searchIndex, searchQuery), [searchIndex, searchQuery]);
 
-  // Cleanup speech recognition on unmount
+  // Send questions queued while offline one at a time, oldest first, once
+  // the backend is back
+  useEffect(() => {
+    if (backendStatus !== 'online' || isLoading || queue.length === 0 || !sendQueuedRef.current) return;
+    const [item] = queue;
+    removeQueued(item.id);
+    sendQueuedRef.current(item);
+  }, [backendStatus, isLoading, queue, removeQueued]);
+
+  // Stop reading an answer aloud when switching chats
+  useEffect(() => {
+    stopSpeech();
+  }, [currentPageId, stopSpeech]);
+
+  // Put keyboard focus in the question box of the chat just opened
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [currentPageId]);
+
+  useKeyboardShortcuts(shortcutHandlersRef, { enabled: !showShortcuts });
+
+  // Cleanup speech recognition and any pending request on unmount
   useEffect(() => {
     return () => {
+      abortControllerRef.current?.abort();
+      keepListeningRef.current = false;
       if (recognitionRef.current) {
         recognitionRef.current.abort();
       }
@@ -83,8 +275,9 @@ export default function ChatPage() {
     };
   }, []);
 
-  // Don't render until mounted to avoid hydration mismatch
-  if (!mounted) {
+  // Don't render until mounted to avoid hydration mismatch, and until the
+  // signed-in user's chats have loaded
+  if (!mounted || !userId || !currentPageId) {
     return (
       <div className="flex h-screen bg-zinc-900 text-white items-center justify-center">
         <div className="animate-spin w-8 h-8 border-2 border-white border-t-transparent rounded-full"></div>
@@ -93,42 +286,84 @@ export default function ChatPage() {
   }
 
   const createNewPage = () => {
-    const newPage = {
-      id: Date.now().toString(),
-      title: 'New Chat',
-      messages: [],
-      createdAt: new Date().toISOString()
-    };
-    
+    const newPage = createEmptyPage();
+
     setChatPages(prev => [...prev, newPage]);
     setCurrentPageId(newPage.id);
-    setMessages([]);
     setInputValue('');
+    setActiveCitation(null);
+    setEditing(null);
   };
 
-  const deletePage = (pageId) => {
-    const updatedPages = chatPages.filter(page => page.id !== pageId);
+  const updatePage = (pageId, update) => {
+    setChatPages(prev => prev.map(page => (page.id === pageId ? update(page) : page)));
+  };
+
+  // Trashed pages stay in chatPages (and on the server) until purged
+  const trashPage = (pageId) => {
+    const deletedAt = new Date().toISOString();
+    const updatedPages = chatPages.map(page => (page.id === pageId ? { ...page, deletedAt } : page));
+    const page = chatPages.find(p => p.id === pageId);
     setChatPages(updatedPages);
-    
+    setTrashNotice({ pageId, title: page?.title });
+    setAnnouncement(t('chat.movedToTrash', { title: page && isUntitled(page) ? t('chat.newChat') : page?.title }));
+
     if (pageId === currentPageId) {
-      if (updatedPages.length > 0) {
-        const newCurrentPage = updatedPages[updatedPages.length - 1];
-        setCurrentPageId(newCurrentPage.id);
-        setMessages(newCurrentPage.messages || []);
-      } else {
-        createNewPage();
-      }
+      showFallbackPage(updatedPages);
+    } else {
+      // The chat's menu is gone, so don't leave focus on nothing
+      inputRef.current?.focus();
+    }
+  };
+
+  const restorePage = (pageId) => {
+    updatePage(pageId, ({ deletedAt, ...page }) => page);
+    setTrashNotice(null);
+  };
+
+  const undoTrash = () => {
+    const page = chatPages.find(p => p.id === trashNotice.pageId);
+    restorePage(trashNotice.pageId);
+    if (page) {
+      setCurrentPageId(page.id);
+      setActiveCitation(null);
     }
   };
 
+  const purgePage = (pageId) => {
+    if (!confirm(t('chat.confirmPurge'))) return;
+    setChatPages(prev => prev.filter(page => page.id !== pageId));
+  };
+
+  const emptyTrash = () => {
+    if (!confirm(t('chat.confirmEmptyTrash'))) return;
+    setChatPages(prev => prev.filter(page => !isTrashed(page)));
+  };
+
+  const togglePagePinned = (pageId) => {
+    updatePage(pageId, page => ({ ...page, pinned: !page.pinned }));
+  };
+
+  const movePageToFolder = (pageId, folder) => {
+    updatePage(pageId, ({ folder: _previous, ...page }) => (folder ? { ...page, folder } : page));
+  };
+
   const selectPage = (pageId) => {
     const page = chatPages.find(p => p.id === pageId);
     if (page) {
       setCurrentPageId(pageId);
-      setMessages(page.messages || []);
+      setActiveCitation(null);
+      setEditing(null);
     }
   };
 
+  // The match may be on a branch that isn't shown, so switch to it first
+  const openSearchResult = (result) => {
+    selectPage(result.pageId);
+    updatePage(result.pageId, page => selectBranch(page, result.messageId));
+    setHighlightedMessageId(result.messageId);
+  };
+
   const updatePageTitle = (pageId, title) => {
     setChatPages(prev => 
       prev.map(page => 
@@ -139,17 +374,70 @@ export default function ChatPage() {
     );
   };
 
-  const updatePageMessages = (pageId, newMessages) => {
+  // Pages saved before the toggle existed have no flag and default to on
+  const togglePageHistory = (pageId) => {
     setChatPages(prev => 
       prev.map(page => 
         page.id === pageId 
-          ? { ...page, messages: newMessages } 
+          ? { ...page, historyEnabled: page.historyEnabled === false } 
           : page
       )
     );
   };
 
+  const exportPages = (pages, format) => {
+    if (format === 'markdown') {
+      downloadFile(getExportFileName(pages, 'md'), chatsToMarkdown(pages, locale), 'text/markdown');
+    } else if (format === 'json') {
+      downloadFile(getExportFileName(pages, 'json'), chatsToJson(pages), 'application/json');
+    } else {
+      printChats(pages, locale);
+    }
+  };
+
+  const importPages = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseChatImport(await file.text(), chatPages, locale);
+      if (imported.length === 0) {
+        alert(t('chat.importEmpty'));
+        return;
+      }
+      setChatPages(prev => [...prev, ...imported]);
+      const lastPage = imported[imported.length - 1];
+      setCurrentPageId(lastPage.id);
+      setActiveCitation(null);
+    } catch (error) {
+      console.error('Failed to import chats:', error);
+      alert(t('chat.importFailed', { error: error.message }));
+    }
+  };
+
+  const claimUnclaimedPages = () => {
+    let claimed;
+    try {
+      claimed = importChatPages(unclaimedPages, chatPages, locale);
+    } catch (error) {
+      console.error('Failed to claim chats:', error);
+      alert(t('chat.importFailed', { error: error.message }));
+      return;
+    }
+    setChatPages(prev => [...prev, ...claimed]);
+    discardUnclaimedChatPages();
+    setUnclaimedPages(null);
+  };
+
+  const discardUnclaimedPages = () => {
+    if (!confirm(t('chat.confirmDiscardUnclaimed'))) return;
+    discardUnclaimedChatPages();
+    setUnclaimedPages(null);
+  };
+
   const stopListening = () => {
+    keepListeningRef.current = false;
     if (recognitionRef.current) {
       recognitionRef.current.stop();
     }
@@ -158,11 +446,47 @@ export default function ChatPage() {
       recognitionTimeoutRef.current = null;
     }
     setListening(false);
+    setInterimTranscript('');
+  };
+
+  // Stop listening once nothing has been said for the configured time
+  const restartSilenceTimer = () => {
+    clearTimeout(recognitionTimeoutRef.current);
+    recognitionTimeoutRef.current = setTimeout(() => {
+      stopListening();
+    }, voiceSettings.silenceTimeoutSeconds * 1000);
+  };
+
+  // Finished phrases in hands-free mode: commands said on their own are
+  // carried out, anything else is added to the question being typed
+  const handleDictation = (transcripts) => {
+    let text = inputValue;
+    for (const transcript of transcripts) {
+      const command = getVoiceCommand(transcript, voiceSettings.language);
+      if (command === 'send') {
+        // sendMessage clears the input only if the question goes out
+        setInputValue(text);
+        sendMessage(text);
+        return;
+      }
+      if (command === 'clear') {
+        text = '';
+      } else if (command === 'newChat') {
+        createNewPage();
+        text = '';
+      } else if (command === 'stopListening') {
+        stopListening();
+      } else {
+        text = [text.trim(), transcript].filter(Boolean).join(' ');
+      }
+    }
+    setInputValue(text);
   };
+  handleDictationRef.current = handleDictation;
 
   const handleVoiceInput = async () => {
     if (!browserSupportsRecognition) {
-      alert('Your browser does not support speech recognition. Please try Chrome, Safari, or Edge.');
+      alert(t('voice.unsupported'));
       return;
     }
 
@@ -171,6 +495,9 @@ export default function ChatPage() {
       return;
     }
 
+    // Don't dictate an answer that is being read aloud
+    stopSpeech();
+
     try {
       // Request microphone permission first
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -180,10 +507,12 @@ export default function ChatPage() {
       const recognition = new SpeechRecognition();
       recognitionRef.current = recognition;
       
-      // Configure recognition settings for better performance
-      recognition.continuous = false; // Don't continue after user stops talking
+      // Hands-free mode keeps listening across pauses; otherwise stop after
+      // the first thing the user says
+      const handsFree = voiceSettings.handsFree;
+      recognition.continuous = handsFree;
       recognition.interimResults = true; // Show results as user speaks
-      recognition.lang = 'en-US';
+      recognition.lang = voiceSettings.language;
       recognition.maxAlternatives = 1;
 
       let finalTranscript = '';
@@ -192,16 +521,17 @@ export default function ChatPage() {
       recognition.onstart = () => {
         console.log('Voice recognition started');
         setListening(true);
-        
-        // Set a maximum duration timer (15 seconds)
-        recognitionTimeoutRef.current = setTimeout(() => {
-          stopListening();
-        }, 15000);
+        restartSilenceTimer();
       };
       
       recognition.onresult = (event) => {
+        // Don't take down an answer being read aloud
+        if (window.speechSynthesis?.speaking) return;
+
         hasSpoken = true;
+        restartSilenceTimer();
         let interimTranscript = '';
+        const finishedPhrases = [];
         
         // Process all results
         for (let i = event.resultIndex; i < event.results.length; i++) {
@@ -209,10 +539,20 @@ export default function ChatPage() {
           
           if (event.results[i].isFinal) {
             finalTranscript += transcript + ' ';
+            finishedPhrases.push(transcript);
           } else {
             interimTranscript += transcript;
           }
         }
+
+        if (handsFree) {
+          // Interim text is only shown in the overlay until it is final
+          setInterimTranscript(interimTranscript);
+          if (finishedPhrases.length > 0) {
+            handleDictationRef.current(finishedPhrases);
+          }
+          return;
+        }
         
         // Update input with current transcript (show interim results)
         const currentText = (finalTranscript + interimTranscript).trim();
@@ -227,8 +567,20 @@ export default function ChatPage() {
       };
 
       recognition.onend = () => {
+        // Browsers end continuous sessions on their own now and then
+        if (keepListeningRef.current && recognitionRef.current === recognition) {
+          try {
+            recognition.start();
+            return;
+          } catch (error) {
+            console.error('Failed to restart speech recognition:', error);
+          }
+        }
+
         console.log('Voice recognition ended');
+        keepListeningRef.current = false;
         setListening(false);
+        setInterimTranscript('');
         recognitionRef.current = null;
         
         if (recognitionTimeoutRef.current) {
@@ -237,14 +589,20 @@ export default function ChatPage() {
         }
         
         // Clean up the final transcript
-        if (finalTranscript.trim()) {
+        if (!handsFree && finalTranscript.trim()) {
           setInputValue(finalTranscript.trim());
         }
       };
 
       recognition.onerror = (event) => {
+        // In hands-free mode pauses are expected; onend starts listening again
+        // and the silence timer decides when to stop
+        if (keepListeningRef.current && event.error === 'no-speech') return;
+
         console.error('Speech recognition error:', event.error);
+        keepListeningRef.current = false;
         setListening(false);
+        setInterimTranscript('');
         recognitionRef.current = null;
         
         if (recognitionTimeoutRef.current) {
@@ -260,10 +618,10 @@ export default function ChatPage() {
             }
             break;
           case 'not-allowed':
-            alert('Microphone access denied. Please allow microphone access and try again.');
+            alert(t('voice.micDenied'));
             break;
           case 'network':
-            alert('Network error occurred. Please check your internet connection.');
+            alert(t('voice.networkError'));
             break;
           case 'aborted':
             console.log('Speech recognition was aborted');
@@ -274,15 +632,16 @@ export default function ChatPage() {
       };
       
       // Start recognition
+      keepListeningRef.current = handsFree;
       recognition.start();
       
     } catch (error) {
       console.error('Failed to start speech recognition:', error);
       setListening(false);
       if (error.name === 'NotAllowedError') {
-        alert('Microphone access denied. Please allow microphone access in your browser settings.');
+        alert(t('voice.micDeniedSettings'));
       } else {
-        alert('Failed to access microphone. Please check your browser settings.');
+        alert(t('voice.micFailed'));
       }
     }
   };
@@ -291,71 +650,189 @@ export default function ChatPage() {
     setInputValue(suggestion);
   };
 
-  const sendMessage = async () => {
-    if (!inputValue.trim() || isLoading) return;
+  // Ask about the question at the end of `path` and add the answer as its
+  // child, so regenerating keeps earlier answers as sibling branches. With
+  // `replaceMessageId` the answer takes that message's place instead.
+  const requestAnswer = async (pageId, path, { replaceMessageId } = {}) => {
+    const question = path[path.length - 1];
+    const page = chatPages.find(p => p.id === pageId);
+    const history = page?.historyEnabled === false ? [] : buildHistory(path.slice(0, -1));
+
+    const answerId = replaceMessageId ?? Date.now() + 1;
+    const answerTimestamp = new Date().toISOString();
+    const controller = new AbortController();
+    let partialAnswer = '';
+
+    // Render partial text into the assistant bubble as it arrives
+    const showPartialAnswer = (content) => {
+      setPendingAnswer({
+        pageId,
+        parentId: question.id,
+        replaceMessageId,
+        message: {
+          id: answerId,
+          type: 'assistant',
+          content,
+          timestamp: answerTimestamp,
+          streaming: true
+        }
+      });
+    };
+
+    abortControllerRef.current = controller;
+    setAnnouncement(t('chat.thinking'));
+    if (replaceMessageId !== undefined) {
+      showPartialAnswer('');
+    } else {
+      setPendingAnswer({ pageId, parentId: question.id, message: null });
+    }
+    setIsLoading(true);
+
+    let answer;
+    try {
+      const data = await sendQuery({ query: question.content, history, stream: true }, {
+        signal: controller.signal,
+        onToken: (content) => {
+          partialAnswer = content;
+          setRetryStatus(null);
+          showPartialAnswer(content);
+        },
+        onRetry: setRetryStatus
+      });
+      answer = { type: 'assistant', content: data.answer, context: data.context };
+    } catch (error) {
+      if (error.kind === 'cancelled' && partialAnswer) {
+        // Keep the text that arrived before Stop was pressed
+        answer = { type: 'assistant', content: partialAnswer, stopped: true };
+      } else {
+        if (error.kind !== 'cancelled') {
+          console.error('Error sending message:', error);
+        }
+        // Find out straight away whether the backend went down
+        if (error.kind === 'network' || [502, 503, 504].includes(error.status)) {
+          checkNow();
+        }
+        answer = { type: 'error', content: getQueryErrorMessage(error, locale) };
+      }
+    }
+
+    const message = { id: answerId, ...answer, timestamp: answerTimestamp };
+    updatePage(pageId, p =>
+      replaceMessageId !== undefined
+        ? replaceMessageInPage(p, replaceMessageId, message)
+        : addMessageToPage(p, question.id, message)
+    );
+    abortControllerRef.current = null;
+    setRetryStatus(null);
+    setPendingAnswer(null);
+    setIsLoading(false);
+    setAnnouncement(
+      answer.type === 'error'
+        ? answer.content
+        : answer.stopped
+        ? t('chat.answerStopped')
+        : t('chat.answerReceived', { answer: getSpeakableText(answer.content) })
+    );
+
+    if (voiceSettings.autoRead && answer.type === 'assistant' && !answer.stopped) {
+      speak(answerId, answer.content);
+    }
+  };
+
+  const stopAnswer = () => {
+    abortControllerRef.current?.abort();
+  };
 
+  // Add a question under `parentId` (null for the first one) and ask it
+  const askQuestion = (pageId, path, parentId, content) => {
     const userMessage = {
       id: Date.now(),
       type: 'user',
-      content: inputValue,
+      content,
       timestamp: new Date().toISOString()
     };
 
-    const newMessages = [...messages, userMessage];
-    setMessages(newMessages);
-    updatePageMessages(currentPageId, newMessages);
-
     // Update page title if it's the first message
-    const currentPage = chatPages.find(p => p.id === currentPageId);
-    if (currentPage && currentPage.title === 'New Chat') {
-      updatePageTitle(currentPageId, inputValue);
+    const page = chatPages.find(p => p.id === pageId);
+    if (page && isUntitled(page)) {
+      updatePageTitle(pageId, content);
+    }
+
+    updatePage(pageId, p => addMessageToPage(p, parentId, userMessage));
+    return requestAnswer(pageId, [...path, userMessage]);
+  };
+
+  // Ask a queued question at the end of its chat's selected branch. Chats
+  // deleted or trashed since it was queued are skipped.
+  const sendQueued = async (item) => {
+    const page = chatPages.find(p => p.id === item.pageId);
+    if (!page || isTrashed(page)) return;
+
+    const path = getActivePath(page);
+    const parentId = path.length > 0 ? path[path.length - 1].id : null;
+    await askQuestion(item.pageId, path, parentId, item.content);
+  };
+  sendQueuedRef.current = sendQueued;
+
+  const sendMessage = async (content = inputValue) => {
+    if (!content.trim()) return;
+
+    // Keep questions in order behind any already waiting
+    if (backendStatus === 'offline' || queue.length > 0) {
+      enqueue(currentPageId, content);
+      setInputValue('');
+      return;
     }
+    if (isLoading) return;
 
+    const parentId = messages.length > 0 ? messages[messages.length - 1].id : null;
     setInputValue('');
-    setIsLoading(true);
+    await askQuestion(currentPageId, messages, parentId, content);
+  };
 
-    try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_BASE_URL}/query`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ query: inputValue }),
-      });
+  // Send an edited copy of an earlier question as a new branch
+  const submitEdit = async () => {
+    const content = editing.content.trim();
+    const index = messages.findIndex(message => message.id === editing.messageId);
+    setEditing(null);
+    if (!content || index === -1 || isLoading) return;
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+    const path = messages.slice(0, index);
+    await askQuestion(currentPageId, path, index > 0 ? messages[index - 1].id : null, content);
+  };
 
-      const data = await response.json();
-      
-      const assistantMessage = {
-        id: Date.now() + 1,
-        type: 'assistant',
-        content: data.answer,
-        context: data.context,
-        timestamp: new Date().toISOString()
-      };
+  // Ask the question before a failed answer again, in the error's place
+  const retryAnswer = async (messageId) => {
+    const index = messages.findIndex(message => message.id === messageId);
+    if (index < 1 || messages[index - 1].type !== 'user' || isLoading) return;
+    await requestAnswer(currentPageId, messages.slice(0, index), { replaceMessageId: messageId });
+  };
 
-      const finalMessages = [...newMessages, assistantMessage];
-      setMessages(finalMessages);
-      updatePageMessages(currentPageId, finalMessages);
+  const regenerateAnswer = async (messageId) => {
+    const index = messages.findIndex(message => message.id === messageId);
+    if (index < 1 || isLoading) return;
+    await requestAnswer(currentPageId, messages.slice(0, index));
+  };
 
-    } catch (error) {
-      console.error('Error sending message:', error);
-      const errorMessage = {
-        id: Date.now() + 1,
-        type: 'error',
-        content: 'Failed to get response. Please check if the server is running and documents are ingested.',
-        timestamp: new Date().toISOString()
-      };
+  // Send a rating to the reviewers and remember it on the message
+  const rateAnswer = async (message, feedback) => {
+    const index = messages.findIndex(m => m.id === message.id);
+    const question = messages[index - 1];
 
-      const finalMessages = [...newMessages, errorMessage];
-      setMessages(finalMessages);
-      updatePageMessages(currentPageId, finalMessages);
-    } finally {
-      setIsLoading(false);
-    }
+    await submitFeedback({
+      pageId: currentPageId,
+      messageId: message.id,
+      ...feedback,
+      question: question?.type === 'user' ? question.content : '',
+      answer: message.content,
+      context: message.context ?? null
+    });
+    updatePage(currentPageId, page => updateMessageInPage(page, message.id, { feedback }));
+  };
+
+  const switchBranch = (messageId) => {
+    updatePage(currentPageId, page => selectBranch(page, messageId));
+    setActiveCitation(null);
   };
 
   const handleKeyPress = (e) => {
@@ -365,126 +842,303 @@ export default function ChatPage() {
     }
   };
 
+  const focusSearch = () => {
+    // The sidebar's controls can't take focus until it is open
+    flushSync(() => setSidebarOpen(true));
+    searchInputRef.current?.focus();
+    searchInputRef.current?.select();
+  };
+
+  // Move through the chats in the order the sidebar lists them
+  const selectAdjacentPage = (offset) => {
+    const pages = groupChatPages(chatPages).flatMap(section => section.pages);
+    const index = pages.findIndex(page => page.id === currentPageId);
+    const page = pages[index + offset];
+    if (index === -1 || !page) return false;
+    selectPage(page.id);
+  };
+
+  shortcutHandlersRef.current = {
+    newChat: createNewPage,
+    focusInput: () => inputRef.current?.focus(),
+    searchChats: focusSearch,
+    nextChat: () => selectAdjacentPage(1),
+    previousChat: () => selectAdjacentPage(-1),
+    toggleSidebar: () => setSidebarOpen(open => !open),
+    stopGeneration: () => (isLoading ? stopAnswer() : false),
+    showHelp: () => setShowShortcuts(true)
+  };
+
   const currentPage = chatPages.find(p => p.id === currentPageId);
+  const folders = getFolders(chatPages);
+  const trashedPages = getTrashedPages(chatPages);
+  const isMac = isMacPlatform();
 
   return (
     <>
       <Head>
-        <title>Document Chat</title>
-        <meta name="description" content="Chat with your documents" />
+        <title>{t('chat.pageTitle')}</title>
+        <meta name="description" content={t('chat.pageDescription')} />
         <link rel="icon" href="/favicon.ico" />
       </Head>
 
       <div className="flex h-screen bg-zinc-900 text-white">
         {/* Sidebar */}
-        <div className={`${sidebarOpen ? 'w-64' : 'w-0'} transition-all duration-300 bg-black-800 border-r border-zinc-700 flex flex-col overflow-hidden`}>
+        <nav
+          id="chat-sidebar"
+          aria-label={t('chat.sidebarLabel')}
+          inert={!sidebarOpen}
+          className={`${sidebarOpen ? 'w-64' : 'w-0'} transition-all duration-300 bg-black-800 border-e border-zinc-700 flex flex-col overflow-hidden`}
+        >
           <div className="p-4 border-b border-zinc-700">
             <h2 className="text-2xl font-bold italic text-white mb-4">
               Policy<span className="text-blue-400">Pal</span>📝
             </h2>
             <button
               onClick={createNewPage}
+              aria-keyshortcuts={getAriaKeyShortcuts('newChat', isMac)}
               className="w-full bg-sky-700 hover:bg-sky-600 text-white p-2 rounded-lg transition-colors flex items-center justify-center gap-2 font-bold"
             >
-              <span>+</span>
-              New Chat
+              <span aria-hidden="true">+</span>
+              {t('chat.newChat')}
             </button>
           </div>
           
+          <div className="px-2 pt-2">
+            <input
+              ref={searchInputRef}
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder={t('chat.searchPlaceholder')}
+              aria-label={t('chat.searchLabel')}
+              aria-keyshortcuts={getAriaKeyShortcuts('searchChats', isMac)}
+              className="w-full bg-zinc-800 text-white text-sm border border-zinc-600 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-sky-500"
+            />
+          </div>
+
           <div className="flex-1 overflow-y-auto p-2">
-            {chatPages.length > 0 && (
-              <div className="mb-3">
-                <h3 className="text-sm font-bold text-gray-400 px-2 mb-2">Recents</h3>
-              </div>
+            {searchQuery.trim() ? (
+              <ChatSearchResults results={searchResults} onSelect={openSearchResult} />
+            ) : showTrash ? (
+              <ChatTrash
+                pages={trashedPages}
+                onRestore={restorePage}
+                onPurge={purgePage}
+                onEmpty={emptyTrash}
+                onClose={() => setShowTrash(false)}
+              />
+            ) : (
+              <>
+                {groupChatPages(chatPages).map(section => (
+                  <div key={section.id} className="mb-3">
+                    <h3 className="text-sm font-bold text-gray-400 px-2 mb-2 truncate">
+                      {section.folder ? `📁 ${section.label}` : t(SECTION_LABELS[section.id])}
+                    </h3>
+                    {section.pages.map(page => (
+                      <ChatPageItem
+                        key={page.id}
+                        page={page}
+                        active={page.id === currentPageId}
+                        folders={folders}
+                        onSelect={() => selectPage(page.id)}
+                        onRename={(title) => updatePageTitle(page.id, title)}
+                        onTogglePin={() => togglePagePinned(page.id)}
+                        onMoveToFolder={(folder) => movePageToFolder(page.id, folder)}
+                        onTrash={() => trashPage(page.id)}
+                      />
+                    ))}
+                  </div>
+                ))}
+                {trashedPages.length > 0 && (
+                  <button
+                    onClick={() => setShowTrash(true)}
+                    className="w-full text-start px-2 py-1 text-sm text-zinc-400 hover:text-white transition-colors"
+                  >
+                    {t('chat.trash', { count: trashedPages.length })}
+                  </button>
+                )}
+              </>
             )}
-            {chatPages.slice().reverse().map((page) => (
-              <div
-                key={page.id}
-                className={`group flex items-center justify-between p-2 mb-2 rounded-lg cursor-pointer transition-colors ${
-                  page.id === currentPageId ? 'bg-zinc-700' : 'bg-black-800 hover:bg-zinc-700'
-                }`}
-                onClick={() => selectPage(page.id)}
-              >
-                <div className="flex-1 truncate">
-                  <div className="text-sm font-medium truncate">{page.title}</div>
-                  {/* <div className="text-xs text-zinc-400">
-                    {page.messages.length} messages
-                  </div> */}
-                </div>
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    deletePage(page.id);
-                  }}
-                  className="
-                    opacity-0 group-hover:opacity-100 
-                    text-zinc-400 
-                    hover:text-red-400 
-                    transition-all 
-                    p-1
-                    w-8 h-8
-                    flex items-center justify-center
-                    text-xl
-                    rounded-lg
-                    hover:bg-zinc-800
-                    hover:shadow
-                  "
-                >
-                  ×
+          </div>
+
+          {unclaimedPages && (
+            <div className="mx-2 mb-2 p-2 rounded-lg bg-zinc-800 border border-zinc-600 text-sm space-y-2">
+              <p>{t('chat.unclaimedChats', { count: unclaimedPages.length })}</p>
+              <div className="flex gap-3">
+                <button onClick={claimUnclaimedPages} className="text-sky-400 hover:text-sky-300 font-medium">
+                  {t('chat.claimChats')}
+                </button>
+                <button onClick={discardUnclaimedPages} className="text-zinc-400 hover:text-white">
+                  {t('chat.discardChats')}
                 </button>
               </div>
-            ))}
-          </div>
+            </div>
+          )}
 
-          <div className="p-4 border-t border-zinc-700">
+          {trashNotice && (
+            <div className="mx-2 mb-2 p-2 rounded-lg bg-zinc-800 border border-zinc-600 text-sm flex items-center justify-between gap-2">
+              <span className="truncate">
+                {t('chat.movedToTrash', { title: trashNotice.title === DEFAULT_CHAT_TITLE ? t('chat.newChat') : trashNotice.title })}
+              </span>
+              <button onClick={undoTrash} className="text-sky-400 hover:text-sky-300 font-medium shrink-0">
+                {t('chat.undo')}
+              </button>
+            </div>
+          )}
+
+          <div className="p-4 border-t border-zinc-700 space-y-2">
             <button
               onClick={() => router.push('/ingest')}
               className="w-full bg-sky-600 hover:bg-sky-700 text-white p-2 rounded-lg transition-colors"
             >
-              Ingest Documents
+              {t('chat.ingestDocuments')}
             </button>
+            <button
+              onClick={() => router.push('/library')}
+              className="w-full bg-zinc-700 hover:bg-zinc-600 text-white p-2 rounded-lg transition-colors"
+            >
+              {t('chat.documentLibrary')}
+            </button>
+            {session.user.isReviewer && (
+              <button
+                onClick={() => router.push('/feedback')}
+                className="w-full bg-zinc-700 hover:bg-zinc-600 text-white p-2 rounded-lg transition-colors"
+              >
+                {t('chat.answerFeedback')}
+              </button>
+            )}
+            <div className="flex gap-2">
+              <div className="flex-1">
+                <ExportMenu
+                  label={t('chat.exportAll')}
+                  onExport={(format) => exportPages(activePages, format)}
+                  className="w-full bg-zinc-800 hover:bg-zinc-700 text-zinc-300 text-sm p-2 rounded-lg transition-colors"
+                  menuPosition="bottom-full mb-1 start-0"
+                />
+              </div>
+              <button
+                onClick={() => importInputRef.current?.click()}
+                className="flex-1 bg-zinc-800 hover:bg-zinc-700 text-zinc-300 text-sm p-2 rounded-lg transition-colors"
+              >
+                {t('chat.import')}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={importPages}
+                className="hidden"
+              />
+            </div>
+            {syncState === 'offline' && (
+              <div className="text-xs text-yellow-400" title={t('chat.offlineHint')}>
+                {t('chat.offline')}
+              </div>
+            )}
+            <div className="flex items-center justify-between gap-2 pt-2 text-sm">
+              <span className="text-zinc-400 truncate" title={session.user.email || session.user.name}>
+                {session.user.name || session.user.email}
+              </span>
+              <button
+                onClick={() => signOut({ callbackUrl: '/login' })}
+                className="text-zinc-400 hover:text-white transition-colors shrink-0"
+              >
+                {t('chat.signOut')}
+              </button>
+            </div>
+            <LanguageSwitcher className="w-full" />
           </div>
-        </div>
+        </nav>
 
         {/* Main Chat Area */}
-        <div className="flex-1 flex flex-col">
+        <main className="flex-1 flex flex-col min-w-0">
           {/* Header */}
           <div className="bg-zinc-800 border-b border-zinc-700 p-4 flex items-center justify-between">
             <div className="flex items-center gap-4">
               <button
                 onClick={() => setSidebarOpen(!sidebarOpen)}
                 className="text-zinc-400 hover:text-white transition-colors"
+                aria-label={t('chat.toggleSidebar')}
+                aria-expanded={sidebarOpen}
+                aria-controls="chat-sidebar"
+                aria-keyshortcuts={getAriaKeyShortcuts('toggleSidebar', isMac)}
               >
                 ☰
               </button>
-              <h1 className="text-lg font-semibold">
-                {currentPage?.title || 'Document Chat'}
+              <h1 id="chat-title" className="text-lg font-semibold">
+                {!currentPage ? t('chat.pageTitle') : isUntitled(currentPage) ? t('chat.newChat') : currentPage.title}
               </h1>
             </div>
+            {currentPage && (
+              <div className="flex items-center gap-4">
+                <ConnectionStatus
+                  readiness={readiness}
+                  lastCheckedAt={lastCheckedAt}
+                  onClick={() => router.push('/status')}
+                />
+                <label
+                  className="flex items-center gap-2 text-sm text-zinc-400 cursor-pointer select-none"
+                  title={t('chat.useHistoryHint')}
+                >
+                  <input
+                    type="checkbox"
+                    checked={currentPage.historyEnabled !== false}
+                    onChange={() => togglePageHistory(currentPage.id)}
+                    className="accent-sky-600"
+                  />
+                  {t('chat.useHistory')}
+                </label>
+                {(browserSupportsRecognition || canSpeak) && (
+                  <VoiceMenu
+                    settings={voiceSettings}
+                    onChange={updateVoiceSettings}
+                    voices={voices}
+                    canListen={browserSupportsRecognition}
+                    canSpeak={canSpeak}
+                    className="text-sm text-zinc-400 hover:text-white transition-colors"
+                  />
+                )}
+                <ExportMenu
+                  label={t('chat.export')}
+                  onExport={(format) => exportPages([currentPage], format)}
+                  className="text-sm text-zinc-400 hover:text-white transition-colors"
+                />
+                <button
+                  onClick={() => setShowShortcuts(true)}
+                  className="text-zinc-400 hover:text-white transition-colors"
+                  aria-label={t('shortcuts.open')}
+                  aria-keyshortcuts={getAriaKeyShortcuts('showHelp', isMac)}
+                  title={t('shortcuts.open')}
+                >
+                  ⌨
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Messages */}
-          <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <section aria-label={t('chat.messagesLabel')} className="flex-1 overflow-y-auto p-4 space-y-4">
             {messages.length === 0 ? (
               <div className="text-center text-zinc-400">
                 <div className="mt-20 mb-8">
-                  <h2 className="text-2xl text-sky-600 font-bold mb-4">What can I help with?</h2>
-                  <p>Ask questions about our policies..😊</p>
+                  <h2 className="text-2xl text-sky-600 font-bold mb-4">{t('chat.welcomeTitle')}</h2>
+                  <p>{t('chat.welcomeSubtitle')}</p>
                 </div>
                 
                 {/* Question Suggestions */}
                 <div className="max-w-4xl mx-auto">
-                  <h3 className="text-md font-medium mb-4 text-zinc-300">Tap below:</h3>
+                  <h3 className="text-md font-medium mb-4 text-zinc-300">{t('chat.suggestionsHeading')}</h3>
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                    {QUESTION_SUGGESTIONS.map((suggestion, index) => (
+                    {QUESTION_SUGGESTIONS.map(key => t(key)).map((suggestion, index) => (
                       <button
                         key={index}
                         onClick={() => handleSuggestionClick(suggestion)}
-                        className="text-left p-4 bg-zinc-800 hover:bg-zinc-700 rounded-lg border border-zinc-700 hover:border-zinc-600 transition-all duration-200 text-zinc-300 hover:text-white"
+                        className="text-start p-4 bg-zinc-800 hover:bg-zinc-700 rounded-lg border border-zinc-700 hover:border-zinc-600 transition-all duration-200 text-zinc-300 hover:text-white"
                       >
                         <div className="flex items-start gap-3">
                           <div className="text-sky-400 mt-1">
-                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.228 9c.549-1.165 2.03-2 3.772-2 2.21 0 4 1.343 4 3 0 1.4-1.278 2.575-3.006 2.907-.542.104-.994.54-.994 1.093m0 3h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                             </svg>
                           </div>
@@ -496,58 +1150,207 @@ export default function ChatPage() {
                 </div>
               </div>
             ) : (
-              messages.map((message) => (
-                <div
-                  key={message.id}
-                  className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
-                >
-                  <div
-                    className={`max-w-3xl p-4 rounded-lg ${
-                      message.type === 'user'
-                        ? 'bg-sky-600 text-white'
-                        : message.type === 'error'
-                        ? 'bg-red-600 text-white'
-                        : 'bg-zinc-700 text-white'
-                    }`}
+              messages.map((message) => {
+                const citations = getCitations(message.context, locale);
+                const contextText = getContextText(message.context);
+                const selectCitation = (citation) => setActiveCitation({ messageId: message.id, citation });
+                const branch = message.streaming ? null : getBranchInfo(currentPage, message.id);
+
+                return (
+                  <article
+                    key={message.id}
+                    id={`message-${message.id}`}
+                    aria-label={message.type === 'user' ? t('search.you') : t('search.assistant')}
+                    className={`flex ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
                   >
-                    <div className="whitespace-pre-wrap">{message.content}</div>
-                    {message.context && (
-                      <details className="mt-2 opacity-75">
-                        <summary className="cursor-pointer text-sm">View Context</summary>
-                        <div className="mt-2 text-xs bg-zinc-600 p-2 rounded max-h-32 overflow-y-auto">
-                          {message.context}
+                    <div
+                      className={`max-w-3xl p-4 rounded-lg transition-shadow ${
+                        message.id === highlightedMessageId ? 'ring-2 ring-yellow-400' : ''
+                      } ${
+                        message.type === 'user'
+                          ? 'bg-sky-600 text-white'
+                          : message.type === 'error'
+                          ? 'bg-red-600 text-white'
+                          : 'bg-zinc-700 text-white'
+                      }`}
+                    >
+                      {editing?.messageId === message.id ? (
+                        <div className="w-[32rem] max-w-full">
+                          <textarea
+                            value={editing.content}
+                            onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault();
+                                submitEdit();
+                              }
+                              if (e.key === 'Escape') setEditing(null);
+                            }}
+                            aria-label={t('chat.editQuestion')}
+                            className="w-full bg-sky-700 text-white border border-sky-400 rounded-lg p-2 resize-none focus:outline-none focus:ring-2 focus:ring-white"
+                            rows={3}
+                            autoFocus
+                          />
+                          <div className="mt-2 flex justify-end gap-2 text-sm">
+                            <button onClick={() => setEditing(null)} className="px-3 py-1 rounded-lg hover:bg-sky-700 transition-colors">
+                              {t('common.cancel')}
+                            </button>
+                            <button
+                              onClick={submitEdit}
+                              disabled={!editing.content.trim()}
+                              className="px-3 py-1 rounded-lg bg-white text-sky-700 hover:bg-sky-100 disabled:opacity-50 transition-colors"
+                            >
+                              {t('chat.saveAndSend')}
+                            </button>
+                          </div>
                         </div>
-                      </details>
-                    )}
-                  </div>
-                </div>
-              ))
+                      ) : message.type === 'assistant' ? (
+                        <MarkdownMessage
+                          content={message.content}
+                          citations={citations}
+                          onCitationSelect={selectCitation}
+                        />
+                      ) : (
+                        <div className="whitespace-pre-wrap">{message.content}</div>
+                      )}
+                      {message.streaming && (
+                        <span className="inline-block w-2 h-4 mt-1 bg-white animate-pulse"></span>
+                      )}
+                      {message.stopped && (
+                        <div className="mt-1 text-xs text-zinc-400 italic">{t('chat.stopped')}</div>
+                      )}
+                      {citations && (
+                        <CitationChips
+                          citations={citations}
+                          activeNumber={activeCitation?.messageId === message.id ? activeCitation.citation.number : null}
+                          onSelect={selectCitation}
+                        />
+                      )}
+                      {contextText && (
+                        <details className="mt-2 opacity-75">
+                          <summary className="cursor-pointer text-sm">{t('chat.viewContext')}</summary>
+                          <div className="mt-2 text-xs bg-zinc-600 p-2 rounded max-h-32 overflow-y-auto">
+                            {contextText}
+                          </div>
+                        </details>
+                      )}
+                      {!message.streaming && editing?.messageId !== message.id && (
+                        <div className="mt-2 flex items-center justify-end gap-3">
+                          <div className="me-auto flex items-center gap-3">
+                            {branch && (
+                              <BranchSwitcher branch={branch} onSelect={switchBranch} disabled={isLoading} />
+                            )}
+                            {message.timestamp && (
+                              <time dateTime={message.timestamp} className="text-xs opacity-50">
+                                {formatDate(message.timestamp)}
+                              </time>
+                            )}
+                          </div>
+                          {message.type === 'user' && !isLoading && (
+                            <button
+                              onClick={() => setEditing({ messageId: message.id, content: message.content })}
+                              className="text-xs text-zinc-300 hover:text-white opacity-60 hover:opacity-100 transition-opacity"
+                            >
+                              {t('chat.edit')}
+                            </button>
+                          )}
+                          {message.type === 'error' && !isLoading && (
+                            <button
+                              onClick={() => retryAnswer(message.id)}
+                              className="text-xs text-white font-medium opacity-80 hover:opacity-100 transition-opacity"
+                            >
+                              {t('common.retry')}
+                            </button>
+                          )}
+                          {message.type === 'assistant' && !isLoading && (
+                            <button
+                              onClick={() => regenerateAnswer(message.id)}
+                              className="text-xs text-zinc-300 hover:text-white opacity-60 hover:opacity-100 transition-opacity"
+                            >
+                              {t('chat.regenerate')}
+                            </button>
+                          )}
+                          {message.type === 'assistant' && !message.streaming && canSpeak && (
+                            <SpeakControls
+                              playing={speakingId === message.id}
+                              paused={speechPaused}
+                              onPlay={() => speak(message.id, message.content)}
+                              onPause={pauseSpeech}
+                              onResume={resumeSpeech}
+                              onStop={stopSpeech}
+                            />
+                          )}
+                          <CopyButton text={message.content} />
+                        </div>
+                      )}
+                      {message.type === 'assistant' && !message.streaming && (
+                        <FeedbackControls
+                          feedback={message.feedback}
+                          onSubmit={(feedback) => rateAnswer(message, feedback)}
+                        />
+                      )}
+                    </div>
+                  </article>
+                );
+              })
             )}
-            {isLoading && (
+            {isLoading && messages[messages.length - 1]?.type === 'user' && (
               <div className="flex justify-start">
                 <div className="bg-zinc-700 text-white p-4 rounded-lg">
                   <div className="flex items-center gap-2">
-                    <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
-                    Thinking...
+                    <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full" aria-hidden="true"></div>
+                    {t('chat.thinking')}
                   </div>
                 </div>
               </div>
             )}
             <div ref={messagesEndRef} />
+          </section>
+
+          {/* Announces finished answers; the streaming text itself isn't live */}
+          <div role="status" aria-live="polite" className="sr-only">
+            {announcement}
           </div>
 
           {/* Input Area */}
           <div className="border-t border-zinc-700 p-4">
+            <QueuedQuestions
+              items={queue}
+              pages={chatPages}
+              currentPageId={currentPageId}
+              onCancel={removeQueued}
+            />
+            {retryStatus && (
+              <div className="mb-2 text-sm text-yellow-400">
+                {t('chat.retrying', { attempt: retryStatus.attempt, maxAttempts: retryStatus.maxAttempts })}
+              </div>
+            )}
             <div className="flex gap-4 items-center">
-              <textarea
-                value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder="Ask anything..."
-                className="flex-1 bg-zinc-800 text-white border border-zinc-600 rounded-lg p-3 resize-none focus:outline-none focus:ring-2 focus:ring-sky-500"
-                rows={1}
-                disabled={isLoading}
-              />
+              <div className="relative flex-1">
+                {/* Hands-free dictation: words still being recognized */}
+                {listening && voiceSettings.handsFree && (
+                  <div className="absolute bottom-full mb-2 inset-x-0 p-3 rounded-lg bg-zinc-800/95 border border-zinc-600 shadow-lg text-sm pointer-events-none">
+                    <div className="text-zinc-200 italic min-h-[1.25rem]">
+                      {interimTranscript || t('chat.listening')}
+                    </div>
+                    <div className="mt-1 text-xs text-zinc-500">
+                      {t('chat.commandsHint', { commands: getVoiceCommands(voiceSettings.language).map(command => command.label).join(', ') })}
+                    </div>
+                  </div>
+                )}
+                <textarea
+                  ref={inputRef}
+                  value={inputValue}
+                  onChange={(e) => setInputValue(e.target.value)}
+                  onKeyPress={handleKeyPress}
+                  placeholder={t('chat.inputPlaceholder')}
+                  aria-label={t('chat.inputLabel')}
+                  aria-describedby="chat-title"
+                  aria-keyshortcuts={getAriaKeyShortcuts('focusInput', isMac)}
+                  className="w-full block bg-zinc-800 text-white border border-zinc-600 rounded-lg p-3 resize-none focus:outline-none focus:ring-2 focus:ring-sky-500"
+                  rows={1}
+                />
+              </div>
               {/* Voice Button - only show if browser supports it */}
               {browserSupportsRecognition && (
                 <button
@@ -566,18 +1369,18 @@ export default function ChatPage() {
                     focus:ring-2
                     focus:ring-sky-500
                   `}
-                  aria-label={listening ? "Stop voice input" : "Start voice input"}
-                  disabled={isLoading}
+                  aria-label={listening ? t('chat.stopVoice') : t('chat.startVoice')}
+                  disabled={isLoading && !listening}
                 >
                   {listening ? (
                     // Stop/Recording icon when listening
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="currentColor" viewBox="0 0 24 24">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="currentColor" viewBox="0 0 24 24" aria-hidden="true">
                       <rect x="6" y="6" width="12" height="12" rx="2" />
                     </svg>
                   ) : (
                     // Microphone icon when not listening
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none"
-                      viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                      viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2} aria-hidden="true">
                       <path strokeLinecap="round" strokeLinejoin="round"
                         d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z" />
                       <path strokeLinecap="round" strokeLinejoin="round"
@@ -586,17 +1389,38 @@ export default function ChatPage() {
                   )}
                 </button>
               )}
-              <button
-                onClick={sendMessage}
-                disabled={!inputValue.trim() || isLoading}
-                className="bg-sky-600 hover:bg-sky-700 disabled:bg-zinc-600 text-white px-6 py-3 rounded-lg transition-colors"
-              >
-                Send
-              </button>
+              {isLoading ? (
+                <button
+                  onClick={stopAnswer}
+                  aria-keyshortcuts={getAriaKeyShortcuts('stopGeneration', isMac)}
+                  className="bg-red-600 hover:bg-red-700 text-white px-6 py-3 rounded-lg transition-colors"
+                >
+                  {t('common.stop')}
+                </button>
+              ) : (
+                <button
+                  onClick={() => sendMessage()}
+                  disabled={!inputValue.trim()}
+                  className="bg-sky-600 hover:bg-sky-700 disabled:bg-zinc-600 text-white px-6 py-3 rounded-lg transition-colors"
+                  title={backendStatus === 'offline' ? t('chat.queueHint') : undefined}
+                >
+                  {backendStatus === 'offline' ? t('chat.queue') : t('common.send')}
+                </button>
+              )}
             </div>
           </div>
-        </div>
+        </main>
+
+        {/* Source Passage Panel */}
+        {activeCitation && (
+          <CitationPanel
+            citation={activeCitation.citation}
+            onClose={() => setActiveCitation(null)}
+          />
+        )}
       </div>
+
+      {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
     </>
   );
 }
\ No newline at end of file
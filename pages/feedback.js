@@ -0,0 +1,183 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { getCategoryLabel } from '@/lib/feedback';
+import { getCitations } from '@/lib/citations';
+
+const RATING_FILTERS = [
+  { id: 'down', label: 'Flagged' },
+  { id: 'up', label: 'Helpful' },
+  { id: 'all', label: 'All' }
+];
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return isNaN(date) ? '—' : date.toLocaleString();
+};
+
+export default function FeedbackPage() {
+  const router = useRouter();
+  const [ratingFilter, setRatingFilter] = useState('down');
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [status, setStatus] = useState(null);
+
+  const loadFeedback = async (rating) => {
+    setIsLoading(true);
+    setStatus(null);
+    try {
+      const response = await fetch(`/api/feedback?rating=${rating}`);
+
+      if (response.status === 403) {
+        setEntries([]);
+        setStatus({ type: 'error', message: 'Only feedback reviewers can see answer feedback.' });
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setEntries(data.feedback || []);
+    } catch (error) {
+      console.error('Failed to load feedback:', error);
+      setStatus({ type: 'error', message: 'Failed to load feedback. Please try again.' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadFeedback(ratingFilter);
+  }, [ratingFilter]);
+
+  return (
+    <>
+      <Head>
+        <title>Answer Feedback</title>
+        <meta name="description" content="Review feedback on chat answers" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <div className="min-h-screen bg-zinc-900 text-white">
+        {/* Header */}
+        <div className="bg-zinc-800 border-b border-zinc-700 p-4">
+          <div className="max-w-6xl mx-auto flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => router.push('/chat')}
+                className="text-zinc-400 hover:text-white transition-colors"
+              >
+                ← Back to Chat
+              </button>
+              <h1 className="text-2xl font-bold">Answer Feedback</h1>
+            </div>
+            <div className="flex gap-2">
+              <a
+                href={`/api/feedback?rating=${ratingFilter}&format=csv`}
+                className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Export CSV
+              </a>
+              <a
+                href={`/api/feedback?rating=${ratingFilter}&format=json`}
+                className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Export JSON
+              </a>
+            </div>
+          </div>
+        </div>
+
+        <div className="max-w-6xl mx-auto p-6">
+          {/* Status Messages */}
+          {status && (
+            <div className={`mb-6 p-4 rounded-lg ${
+              status.type === 'success' ? 'bg-green-600' :
+              status.type === 'error' ? 'bg-red-600' :
+              'bg-blue-600'
+            }`}>
+              {status.message}
+            </div>
+          )}
+
+          <div className="bg-zinc-800 rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Ratings ({entries.length})</h2>
+              <div className="flex gap-1 bg-zinc-900 rounded-lg p-1">
+                {RATING_FILTERS.map(filter => (
+                  <button
+                    key={filter.id}
+                    onClick={() => setRatingFilter(filter.id)}
+                    aria-pressed={ratingFilter === filter.id}
+                    className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                      ratingFilter === filter.id ? 'bg-sky-600 text-white' : 'text-zinc-400 hover:text-white'
+                    }`}
+                  >
+                    {filter.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin w-8 h-8 border-2 border-white border-t-transparent rounded-full"></div>
+              </div>
+            ) : entries.length === 0 ? (
+              <div className="text-center text-zinc-400 py-12">
+                <div className="text-4xl mb-4">🗳️</div>
+                <p>No feedback yet.</p>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {entries.map(entry => {
+                  const citations = getCitations(entry.context);
+                  return (
+                    <div key={entry.id} className="border border-zinc-700 rounded-lg p-4">
+                      <div className="flex flex-wrap items-center gap-3 text-sm text-zinc-400 mb-3">
+                        <span className="text-lg">{entry.rating === 'up' ? '👍' : '👎'}</span>
+                        {entry.category && (
+                          <span className="px-2 py-0.5 rounded-full bg-red-900/60 text-red-200">
+                            {getCategoryLabel(entry.category)}
+                          </span>
+                        )}
+                        <span>{entry.userName}</span>
+                        <span>{formatDate(entry.updatedAt)}</span>
+                      </div>
+                      {entry.comment && (
+                        <p className="mb-3 text-white whitespace-pre-wrap">“{entry.comment}”</p>
+                      )}
+                      <div className="text-sm">
+                        <div className="text-zinc-400 mb-1">Question</div>
+                        <p className="mb-3 whitespace-pre-wrap">{entry.question || '—'}</p>
+                        <details>
+                          <summary className="cursor-pointer text-zinc-400">Answer and sources</summary>
+                          <p className="mt-2 whitespace-pre-wrap text-zinc-200">{entry.answer}</p>
+                          {citations ? (
+                            <ul className="mt-2 text-xs text-zinc-400 space-y-1">
+                              {citations.map(citation => (
+                                <li key={citation.number}>
+                                  [{citation.number}] {citation.document}{citation.location ? `, ${citation.location}` : ''}
+                                </li>
+                              ))}
+                            </ul>
+                          ) : typeof entry.context === 'string' && entry.context && (
+                            <div className="mt-2 text-xs bg-zinc-700 p-2 rounded max-h-32 overflow-y-auto">
+                              {entry.context}
+                            </div>
+                          )}
+                        </details>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
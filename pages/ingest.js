@@ -1,39 +1,117 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
+import {
+  SUPPORTED_FORMATS,
+  ACCEPTED_TYPES,
+  isFileSupported,
+  getFileExtension,
+  getFileIcon
+} from '@/lib/files';
+import { uploadFile } from '@/lib/upload';
+import { preflightFile, MAX_FILE_SIZE_BYTES } from '@/lib/preflight';
+import { getJobErrorMessage } from '@/lib/ingestJobs';
+import useIngestJobs from '@/hooks/useIngestJobs';
+import RecentIngestions from '@/components/RecentIngestions';
+import LanguageSwitcher from '@/components/LanguageSwitcher';
+import useTranslation from '@/hooks/useTranslation';
+
+const FILE_STATUS_COLORS = {
+  checking: 'text-zinc-400',
+  rejected: 'text-red-400',
+  duplicate: 'text-yellow-400',
+  queued: 'text-zinc-400',
+  uploading: 'text-sky-400',
+  processing: 'text-yellow-400',
+  done: 'text-green-400',
+  failed: 'text-red-400'
+};
+
+// Each selected file is tracked with its own upload status.
+// New entries start as 'checking' until preflight validation finishes.
+const createFileEntry = (file, index) => ({
+  id: `${Date.now()}-${index}-${file.name}`,
+  file,
+  status: 'checking',
+  progress: 0,
+  error: null,
+  hash: null
+});
+
+// Settle a checked entry against the rest of the selection and the hashes of
+// documents that are already ingested
+const resolvePreflight = (entry, check, entries, ingestedHashes, t) => {
+  if (check.error) {
+    return { ...entry, status: 'rejected', error: check.error };
+  }
+
+  const { hash } = check;
+  if (hash) {
+    const selectedDuplicate = entries.find(other =>
+      other.id !== entry.id && other.hash === hash && other.status !== 'rejected'
+    );
+    if (selectedDuplicate) {
+      return { ...entry, hash, status: 'duplicate', error: t('ingest.duplicateInSelection', { name: selectedDuplicate.file.name }) };
+    }
+
+    const ingestedName = ingestedHashes.get(hash);
+    if (ingestedName) {
+      return { ...entry, hash, status: 'duplicate', ingested: true, error: t('ingest.alreadyIngested', { name: ingestedName }) };
+    }
+  }
+
+  return { ...entry, hash, status: 'queued' };
+};
 
 export default function IngestPage() {
   const router = useRouter();
+  const { t, locale, formatSize } = useTranslation();
   const [files, setFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadStatus, setUploadStatus] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const { jobs, addJob, clearFinishedJobs } = useIngestJobs();
+  const ingestedHashesRef = useRef(new Map());
 
-  // Supported file formats
-  const supportedFormats = ['.docx', '.pdf', '.csv', '.txt'];
-  const acceptedTypes = '.docx,.pdf,.csv,.txt';
+  // Content hashes of documents already in the vectorstore, for duplicate checks
+  useEffect(() => {
+    const loadIngestedHashes = async () => {
+      try {
+        const response = await fetch('/api/documents');
+        if (!response.ok) return;
+        const data = await response.json();
+        (data.documents || []).forEach(document => {
+          if (document.sha256) {
+            ingestedHashesRef.current.set(document.sha256, document.name);
+          }
+        });
+      } catch (error) {
+        console.error('Failed to load ingested document hashes:', error);
+      }
+    };
+    loadIngestedHashes();
+  }, []);
 
-  const isFileSupported = (fileName) => {
-    return supportedFormats.some(format => 
-      fileName.toLowerCase().endsWith(format)
+  // Files handed off to an ingestion job finish when their job does, and only
+  // then count as ingested for duplicate checks
+  useEffect(() => {
+    setFiles(prev => 
+      prev.map(entry => {
+        if (!entry.jobId || entry.status !== 'processing') return entry;
+        const job = jobs.find(j => j.id === entry.jobId);
+        if (job?.status === 'completed') {
+          if (entry.hash) {
+            ingestedHashesRef.current.set(entry.hash, entry.file.name);
+          }
+          return { ...entry, status: 'done' };
+        }
+        if (job?.status === 'failed') {
+          return { ...entry, status: 'failed', error: getJobErrorMessage(job, locale) || t('ingest.ingestionFailed') };
+        }
+        return entry;
+      })
     );
-  };
-
-  const getFileIcon = (fileName) => {
-    const extension = fileName.toLowerCase().split('.').pop();
-    switch (extension) {
-      case 'docx':
-        return '📄';
-      case 'pdf':
-        return '📕';
-      case 'csv':
-        return '📊';
-      case 'txt':
-        return '📝';
-      default:
-        return '📄';
-    }
-  };
+  }, [jobs, t, locale]);
 
   const handleDrag = useCallback((e) => {
     e.preventDefault();
@@ -45,48 +123,66 @@ export default function IngestPage() {
     }
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  // Add supported files to the selection and validate each one before upload
+  const addFiles = (selectedFiles) => {
+    const supportedFiles = selectedFiles.filter(file => 
+      isFileSupported(file.name)
+    );
+    
+    if (supportedFiles.length !== selectedFiles.length) {
+      setUploadStatus({
+        type: 'error',
+        message: t('ingest.filesSkipped', { formats: SUPPORTED_FORMATS.join(', ') })
+      });
+    }
+    
+    const newEntries = supportedFiles.map(createFileEntry);
+    setFiles(prev => [...prev, ...newEntries]);
+
+    newEntries.forEach(async (entry) => {
+      const check = await preflightFile(entry.file, locale);
+      setFiles(prev => 
+        prev.map(current => 
+          current.id === entry.id
+            ? resolvePreflight(current, check, prev, ingestedHashesRef.current, t)
+            : current
+        )
+      );
+    });
+  };
+
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const droppedFiles = Array.from(e.dataTransfer.files);
-      const supportedFiles = droppedFiles.filter(file => 
-        isFileSupported(file.name)
-      );
-      
-      if (supportedFiles.length !== droppedFiles.length) {
-        setUploadStatus({
-          type: 'error',
-          message: `Some files were skipped. Only ${supportedFormats.join(', ')} files are supported.`
-        });
-      }
-      
-      setFiles(prev => [...prev, ...supportedFiles]);
+      addFiles(Array.from(e.dataTransfer.files));
     }
-  }, []);
+  };
 
   const handleFileInput = (e) => {
     if (e.target.files) {
-      const selectedFiles = Array.from(e.target.files);
-      const supportedFiles = selectedFiles.filter(file => 
-        isFileSupported(file.name)
-      );
-      
-      if (supportedFiles.length !== selectedFiles.length) {
-        setUploadStatus({
-          type: 'error',
-          message: `Some files were skipped. Only ${supportedFormats.join(', ')} files are supported.`
-        });
-      }
-      
-      setFiles(prev => [...prev, ...supportedFiles]);
+      addFiles(Array.from(e.target.files));
+      e.target.value = '';
     }
   };
 
-  const removeFile = (index) => {
-    setFiles(prev => prev.filter((_, i) => i !== index));
+  const removeFile = (id) => {
+    setFiles(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  const updateFileEntry = (id, changes) => {
+    setFiles(prev => 
+      prev.map(entry => 
+        entry.id === id ? { ...entry, ...changes } : entry
+      )
+    );
+  };
+
+  // Already-ingested duplicates can still be sent deliberately
+  const uploadAnyway = (id) => {
+    updateFileEntry(id, { status: 'queued', error: null });
   };
 
   const clearAllFiles = () => {
@@ -94,83 +190,103 @@ export default function IngestPage() {
     setUploadStatus(null);
   };
 
-  const uploadFiles = async () => {
-    if (files.length === 0) {
-      setUploadStatus({
-        type: 'error',
-        message: 'Please select at least one supported file'
-      });
-      return;
-    }
-
-    setIsUploading(true);
-    setUploadStatus(null);
+  // Upload one file, recording its progress and result.
+  // Resolves to 'done', 'queued' (handed off to an ingestion job) or 'failed'.
+  const uploadFileEntry = async (entry) => {
+    updateFileEntry(entry.id, { status: 'uploading', progress: 0, error: null, jobId: null });
 
     try {
-      const formData = new FormData();
-      files.forEach(file => {
-        formData.append('files', file);
+      const result = await uploadFile('/api/ingest', entry.file, {
+        fields: entry.hash ? { sha256: entry.hash } : {},
+        onProgress: (progress) => updateFileEntry(entry.id, { progress }),
+        onUploaded: () => updateFileEntry(entry.id, { status: 'processing' }),
+        locale
       });
 
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_BASE_URL}/ingest`, {
-        method: 'POST',
-        body: formData,
-      });
+      // Backends without job support finish ingesting before they respond.
+      // A job's file is recorded as ingested once the job completes.
+      if (result.job_id) {
+        addJob(result.job_id, entry.file.name);
+        updateFileEntry(entry.id, { status: 'processing', progress: 100, jobId: result.job_id });
+        return 'queued';
+      }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      if (entry.hash) {
+        ingestedHashesRef.current.set(entry.hash, entry.file.name);
       }
+      updateFileEntry(entry.id, { status: 'done', progress: 100 });
+      return 'done';
+    } catch (error) {
+      console.error(`Upload error for ${entry.file.name}:`, error);
+      updateFileEntry(entry.id, { status: 'failed', error: error.message });
+      return 'failed';
+    }
+  };
 
-      const result = await response.json();
-      setUploadStatus({
-        type: 'success',
-        message: result.message
-      });
-      
-      // Clear files after successful upload
-      setTimeout(() => {
-        setFiles([]);
-      }, 2000);
+  const reportResults = (results) => {
+    const count = (outcome) => results.filter(result => result === outcome).length;
+    const done = count('done');
+    const queued = count('queued');
+    const failed = count('failed');
+    const documents = (value) => t('ingest.documents', { count: value });
 
-    } catch (error) {
-      console.error('Upload error:', error);
+    if (failed > 0) {
+      const succeeded = done + queued;
       setUploadStatus({
         type: 'error',
-        message: 'Failed to upload files. Please check if the server is running.'
+        message: succeeded > 0
+          ? t('ingest.uploadPartlyFailed', { documents: documents(failed), succeeded })
+          : t('ingest.uploadFailed', { documents: documents(failed) })
       });
-    } finally {
-      setIsUploading(false);
-    }
-  };
-
-  const checkHealth = async () => {
-    try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_BASE_URL}/health`);
-      const health = await response.json();
+    } else if (queued > 0) {
       setUploadStatus({
         type: 'info',
-        message: `Server Status: ${health.status}, Models: ${health.models_initialized ? 'Ready' : 'Not Ready'}, Vectorstore: ${health.vectorstore_loaded ? 'Loaded' : 'Empty'}`
+        message: t('ingest.uploadQueued', { documents: documents(queued) })
       });
-    } catch (error) {
+    } else {
+      setUploadStatus({
+        type: 'success',
+        message: t('ingest.uploadDone', { documents: documents(done) })
+      });
+    }
+  };
+
+  const uploadFiles = async () => {
+    const pendingEntries = files.filter(entry => entry.status === 'queued' || entry.status === 'failed');
+
+    if (pendingEntries.length === 0) {
       setUploadStatus({
         type: 'error',
-        message: 'Server is not responding. Please check if it\'s running on port 8000.'
+        message: t('ingest.noFiles')
       });
+      return;
     }
+
+    setIsUploading(true);
+    setUploadStatus(null);
+    pendingEntries.forEach(entry => updateFileEntry(entry.id, { status: 'queued', progress: 0, error: null }));
+
+    // Upload one file at a time so a failure is pinned to the file that caused it
+    const results = [];
+    for (const entry of pendingEntries) {
+      results.push(await uploadFileEntry(entry));
+    }
+
+    reportResults(results);
+    setIsUploading(false);
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const retryFile = async (entry) => {
+    setIsUploading(true);
+    setUploadStatus(null);
+    reportResults([await uploadFileEntry(entry)]);
+    setIsUploading(false);
   };
 
   const getFileTypeStats = () => {
     const stats = {};
-    files.forEach(file => {
-      const extension = file.name.toLowerCase().split('.').pop();
+    files.forEach(({ file }) => {
+      const extension = getFileExtension(file.name);
       stats[extension] = (stats[extension] || 0) + 1;
     });
     return stats;
@@ -179,54 +295,64 @@ export default function IngestPage() {
   return (
     <>
       <Head>
-        <title>Document Ingestion</title>
-        <meta name="description" content="Upload documents for processing" />
+        <title>{t('ingest.pageTitle')}</title>
+        <meta name="description" content={t('ingest.pageDescription')} />
         <link rel="icon" href="/favicon.ico" />
       </Head>
 
       <div className="min-h-screen bg-zinc-900 text-white">
         {/* Header */}
-        <div className="bg-zinc-800 border-b border-zinc-700 p-4">
+        <header className="bg-zinc-800 border-b border-zinc-700 p-4">
           <div className="max-w-4xl mx-auto flex items-center justify-between">
             <div className="flex items-center gap-4">
               <button
                 onClick={() => router.push('/chat')}
                 className="text-zinc-400 hover:text-white transition-colors"
               >
-                ← Back to Chat
+                {t('common.backToChat')}
               </button>
-              <h1 className="text-2xl font-bold">Document Ingestion</h1>
+              <h1 className="text-2xl font-bold">{t('ingest.pageTitle')}</h1>
             </div>
-            <div className="flex gap-2">
+            <div className="flex items-center gap-2">
+              <LanguageSwitcher />
+              <button
+                onClick={() => router.push('/library')}
+                className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                {t('ingest.documentLibrary')}
+              </button>
               <button
-                onClick={checkHealth}
+                onClick={() => router.push('/status')}
                 className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded-lg transition-colors"
               >
-                Check Status
+                {t('ingest.serverStatus')}
               </button>
             </div>
           </div>
-        </div>
+        </header>
 
-        <div className="max-w-4xl mx-auto p-6">
+        <main className="max-w-4xl mx-auto p-6">
           {/* Status Messages */}
           {uploadStatus && (
-            <div className={`mb-6 p-4 rounded-lg ${
-              uploadStatus.type === 'success' ? 'bg-green-600' :
-              uploadStatus.type === 'error' ? 'bg-red-600' :
-              'bg-blue-600'
-            }`}>
+            <div
+              role={uploadStatus.type === 'error' ? 'alert' : 'status'}
+              className={`mb-6 p-4 rounded-lg ${
+                uploadStatus.type === 'success' ? 'bg-green-600' :
+                uploadStatus.type === 'error' ? 'bg-red-600' :
+                'bg-blue-600'
+              }`}
+            >
               {uploadStatus.message}
             </div>
           )}
 
           {/* Upload Area */}
           <div className="bg-zinc-800 rounded-lg p-6 mb-6">
-            <h2 className="text-xl font-semibold mb-4">Upload Documents</h2>
+            <h2 className="text-xl font-semibold mb-4">{t('ingest.uploadHeading')}</h2>
             
             {/* Supported Formats Info */}
             <div className="mb-4 p-3 bg-zinc-700 rounded-lg">
-              <div className="text-sm text-zinc-300 mb-2">Supported formats:</div>
+              <div className="text-sm text-zinc-300 mb-2">{t('ingest.supportedFormats')}</div>
               <div className="flex gap-4 text-sm">
                 <span className="flex items-center gap-1">📄 DOCX</span>
                 <span className="flex items-center gap-1">📕 PDF</span>
@@ -248,25 +374,26 @@ export default function IngestPage() {
               onDrop={handleDrop}
             >
               <div className="space-y-4">
-                <div className="text-4xl">📁</div>
+                <div className="text-4xl" aria-hidden="true">📁</div>
                 <div>
                   <p className="text-lg font-medium">
-                    Drag and drop documents here
+                    {t('ingest.dropHere')}
                   </p>
-                  <p className="text-zinc-400">or</p>
+                  <p className="text-zinc-400">{t('ingest.or')}</p>
                 </div>
-                <label className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg cursor-pointer transition-colors inline-block">
-                  Browse Files
+                <label className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-lg cursor-pointer transition-colors inline-block focus-within:ring-2 focus-within:ring-sky-400">
+                  {t('ingest.browse')}
+                  {/* Visually hidden rather than display:none so it stays reachable by keyboard */}
                   <input
                     type="file"
                     multiple
-                    accept={acceptedTypes}
+                    accept={ACCEPTED_TYPES}
                     onChange={handleFileInput}
-                    className="hidden"
+                    className="sr-only"
                   />
                 </label>
                 <p className="text-sm text-zinc-400">
-                  Supports DOCX, PDF, CSV, and TXT files
+                  {t('ingest.supportsTypes')}
                 </p>
               </div>
             </div>
@@ -277,7 +404,7 @@ export default function IngestPage() {
                 <div className="flex items-center justify-between mb-4">
                   <div>
                     <h3 className="text-lg font-medium">
-                      Selected Files ({files.length})
+                      {t('ingest.selectedFiles', { count: files.length })}
                     </h3>
                     {files.length > 0 && (
                       <div className="text-sm text-zinc-400 mt-1">
@@ -289,30 +416,83 @@ export default function IngestPage() {
                   </div>
                   <button
                     onClick={clearAllFiles}
-                    className="text-red-400 hover:text-red-300 transition-colors"
+                    disabled={isUploading}
+                    className="text-red-400 hover:text-red-300 disabled:opacity-50 transition-colors"
                   >
-                    Clear All
+                    {t('ingest.clearAll')}
                   </button>
                 </div>
                 
                 <div className="space-y-2 max-h-64 overflow-y-auto">
-                  {files.map((file, index) => (
+                  {files.map((entry) => (
                     <div
-                      key={index}
+                      key={entry.id}
                       className="flex items-center justify-between bg-zinc-700 p-3 rounded-lg"
                     >
                       <div className="flex items-center gap-3 flex-1 min-w-0">
-                        <span className="text-xl">{getFileIcon(file.name)}</span>
+                        <span className="text-xl" aria-hidden="true">{getFileIcon(entry.file.name)}</span>
                         <div className="flex-1 min-w-0">
-                          <div className="font-medium truncate">{file.name}</div>
-                          <div className="text-sm text-zinc-400">
-                            {formatFileSize(file.size)}
+                          <div className="font-medium truncate">{entry.file.name}</div>
+                          <div className="text-sm text-zinc-400 flex items-center gap-2">
+                            <span>{formatSize(entry.file.size)}</span>
+                            <span>·</span>
+                            <span className={FILE_STATUS_COLORS[entry.status]}>
+                              {t(`ingest.fileStatus.${entry.status}`)}
+                              {entry.status === 'uploading' && ` ${entry.progress}%`}
+                            </span>
                           </div>
+                          {(entry.status === 'uploading' || entry.status === 'processing') && (
+                            <div
+                              role="progressbar"
+                              aria-label={t('ingest.progress', { name: entry.file.name })}
+                              aria-valuenow={entry.status === 'uploading' ? entry.progress : undefined}
+                              aria-valuemin={0}
+                              aria-valuemax={100}
+                              className="mt-2 h-1.5 bg-zinc-600 rounded-full overflow-hidden"
+                            >
+                              <div
+                                className={`h-full transition-all ${
+                                  entry.status === 'processing' ? 'bg-yellow-400 animate-pulse' : 'bg-sky-500'
+                                }`}
+                                style={{ width: `${entry.progress}%` }}
+                              ></div>
+                            </div>
+                          )}
+                          {['failed', 'rejected', 'duplicate'].includes(entry.status) && entry.error && (
+                            <div
+                              className={`text-sm mt-1 truncate ${entry.status === 'duplicate' ? 'text-yellow-300' : 'text-red-300'}`}
+                              title={entry.error}
+                            >
+                              {entry.error}
+                            </div>
+                          )}
                         </div>
                       </div>
+                      {entry.status === 'duplicate' && entry.ingested && (
+                        <button
+                          onClick={() => uploadAnyway(entry.id)}
+                          disabled={isUploading}
+                          aria-label={t('ingest.uploadFileAnyway', { name: entry.file.name })}
+                          className="text-yellow-400 hover:text-yellow-300 disabled:opacity-50 ms-4 text-sm whitespace-nowrap"
+                        >
+                          {t('ingest.uploadAnyway')}
+                        </button>
+                      )}
+                      {entry.status === 'failed' && (
+                        <button
+                          onClick={() => retryFile(entry)}
+                          disabled={isUploading}
+                          aria-label={t('ingest.retryFile', { name: entry.file.name })}
+                          className="text-sky-400 hover:text-sky-300 disabled:opacity-50 ms-4 text-sm"
+                        >
+                          {t('common.retry')}
+                        </button>
+                      )}
                       <button
-                        onClick={() => removeFile(index)}
-                        className="text-red-400 hover:text-red-300 ml-4 p-1 text-xl"
+                        onClick={() => removeFile(entry.id)}
+                        disabled={entry.status === 'uploading' || (entry.status === 'processing' && !entry.jobId)}
+                        className="text-red-400 hover:text-red-300 disabled:opacity-30 ms-4 p-1 text-xl"
+                        aria-label={t('ingest.removeFile', { name: entry.file.name })}
                       >
                         ×
                       </button>
@@ -323,61 +503,66 @@ export default function IngestPage() {
                 <div className="mt-6 flex gap-4">
                   <button
                     onClick={uploadFiles}
-                    disabled={isUploading || files.length === 0}
+                    disabled={isUploading || !files.some(entry => entry.status === 'queued' || entry.status === 'failed')}
                     className="bg-green-600 hover:bg-green-700 disabled:bg-zinc-600 text-white px-6 py-3 rounded-lg transition-colors flex items-center gap-2"
                   >
                     {isUploading && (
                       <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
                     )}
-                    {isUploading ? 'Processing...' : 'Ingest Documents'}
+                    {isUploading ? t('ingest.processing') : t('ingest.ingestDocuments')}
                   </button>
                 </div>
               </div>
             )}
           </div>
 
+          {/* Recent Ingestions */}
+          <RecentIngestions jobs={jobs} onClearFinished={clearFinishedJobs} />
+
           {/* Instructions */}
           <div className="bg-zinc-800 rounded-lg p-6">
-            <h3 className="text-lg font-semibold mb-4">Instructions</h3>
+            <h3 className="text-lg font-semibold mb-4">{t('ingest.instructions')}</h3>
             <div className="space-y-3 text-zinc-300">
               <div className="flex items-start gap-3">
                 <span className="text-blue-400 font-semibold">1.</span>
-                <span>Upload one or more documents (DOCX, PDF, CSV, or TXT) using the drag-and-drop area or file browser above.</span>
+                <span>{t('ingest.step1')}</span>
               </div>
               <div className="flex items-start gap-3">
                 <span className="text-blue-400 font-semibold">2.</span>
-                <span>Click "Ingest Documents" to process and store the documents in the vector database.</span>
+                <span>{t('ingest.step2')}</span>
               </div>
               <div className="flex items-start gap-3">
                 <span className="text-blue-400 font-semibold">3.</span>
-                <span>Once ingested, you can ask questions about the documents in the chat interface.</span>
+                <span>{t('ingest.step3')}</span>
               </div>
               <div className="flex items-start gap-3">
                 <span className="text-blue-400 font-semibold">4.</span>
-                <span>Use "Check Status" to verify server health and vectorstore status.</span>
+                <span>{t('ingest.step4')}</span>
               </div>
             </div>
 
             <div className="mt-6 p-4 bg-yellow-600/20 border border-yellow-600/30 rounded-lg">
-              <h4 className="font-semibold text-yellow-400 mb-2">Prerequisites:</h4>
+              <h4 className="font-semibold text-yellow-400 mb-2">{t('ingest.prerequisites')}</h4>
               <ul className="text-sm text-zinc-300 space-y-1">
-                <li>• Server status must be healthy and ready</li>
-                <li>• Only DOCX, PDF, TXT and CSV files are supported for ingestion</li>
-                <li>• Mixed file types can be uploaded together</li>
+                <li>• {t('ingest.prerequisiteHealthy')}</li>
+                <li>• {t('ingest.prerequisiteFormats')}</li>
+                <li>• {t('ingest.prerequisiteSize', { size: formatSize(MAX_FILE_SIZE_BYTES) })}</li>
+                <li>• {t('ingest.prerequisiteDuplicates')}</li>
+                <li>• {t('ingest.prerequisiteMixed')}</li>
               </ul>
             </div>
 
             <div className="mt-4 p-4 bg-blue-600/20 border border-blue-600/30 rounded-lg">
-              <h4 className="font-semibold text-blue-400 mb-2">File Type Details:</h4>
+              <h4 className="font-semibold text-blue-400 mb-2">{t('ingest.fileTypeDetails')}</h4>
               <ul className="text-sm text-zinc-300 space-y-1">
-                <li>• <strong>DOCX:</strong> Microsoft Word documents with full text extraction</li>
-                <li>• <strong>PDF:</strong> Portable Document Format files</li>
-                <li>• <strong>CSV:</strong> Comma-separated values for structured data</li>
-                <li>• <strong>TXT:</strong> Plain text files</li>
+                <li>• <strong>DOCX:</strong> {t('ingest.detailDocx')}</li>
+                <li>• <strong>PDF:</strong> {t('ingest.detailPdf')}</li>
+                <li>• <strong>CSV:</strong> {t('ingest.detailCsv')}</li>
+                <li>• <strong>TXT:</strong> {t('ingest.detailTxt')}</li>
               </ul>
             </div>
           </div>
-        </div>
+        </main>
       </div>
     </>
   );
@@ -0,0 +1,262 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { ACCEPTED_TYPES, isFileSupported, getFileExtension, getFileIcon, formatFileSize } from '@/lib/files';
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  const date = new Date(value);
+  return isNaN(date) ? '—' : date.toLocaleString();
+};
+
+export default function LibraryPage() {
+  const router = useRouter();
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyDocumentId, setBusyDocumentId] = useState(null);
+  const [status, setStatus] = useState(null);
+  const replaceInputRef = useRef(null);
+  const replaceTargetRef = useRef(null);
+
+  const loadDocuments = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch('/api/documents');
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+      setDocuments(data.documents || []);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+      setStatus({
+        type: 'error',
+        message: 'Failed to load documents. Please check if the server is running.'
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDocuments();
+  }, []);
+
+  const deleteDocument = async (document) => {
+    if (!confirm(`Delete "${document.name}" from the vectorstore? Answers will no longer use it.`)) return;
+
+    setBusyDocumentId(document.id);
+    setStatus(null);
+
+    try {
+      const response = await fetch(
+        `/api/documents/${encodeURIComponent(document.id)}`,
+        { method: 'DELETE' }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      setDocuments(prev => prev.filter(d => d.id !== document.id));
+      setStatus({ type: 'success', message: `Deleted ${document.name}` });
+    } catch (error) {
+      console.error('Delete error:', error);
+      setStatus({ type: 'error', message: `Failed to delete ${document.name}.` });
+    } finally {
+      setBusyDocumentId(null);
+    }
+  };
+
+  const startReplace = (document) => {
+    replaceTargetRef.current = document;
+    replaceInputRef.current?.click();
+  };
+
+  const handleReplaceFile = async (e) => {
+    const file = e.target.files?.[0];
+    const document = replaceTargetRef.current;
+    e.target.value = '';
+    replaceTargetRef.current = null;
+    if (!file || !document) return;
+
+    if (!isFileSupported(file.name)) {
+      setStatus({ type: 'error', message: `${file.name} is not a supported file type.` });
+      return;
+    }
+
+    setBusyDocumentId(document.id);
+    setStatus(null);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await fetch(
+        `/api/documents/${encodeURIComponent(document.id)}`,
+        { method: 'PUT', body: formData }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (result.document) {
+        setDocuments(prev => prev.map(d => (d.id === document.id ? result.document : d)));
+      } else {
+        await loadDocuments();
+      }
+      setStatus({ type: 'success', message: `Replaced ${document.name} with ${file.name}` });
+    } catch (error) {
+      console.error('Replace error:', error);
+      setStatus({ type: 'error', message: `Failed to replace ${document.name}.` });
+    } finally {
+      setBusyDocumentId(null);
+    }
+  };
+
+  const totalChunks = documents.reduce((sum, d) => sum + (d.chunk_count || 0), 0);
+
+  return (
+    <>
+      <Head>
+        <title>Document Library</title>
+        <meta name="description" content="Browse and manage ingested documents" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <div className="min-h-screen bg-zinc-900 text-white">
+        {/* Header */}
+        <div className="bg-zinc-800 border-b border-zinc-700 p-4">
+          <div className="max-w-5xl mx-auto flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => router.push('/chat')}
+                className="text-zinc-400 hover:text-white transition-colors"
+              >
+                ← Back to Chat
+              </button>
+              <h1 className="text-2xl font-bold">Document Library</h1>
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={loadDocuments}
+                disabled={isLoading}
+                className="bg-zinc-700 hover:bg-zinc-600 disabled:opacity-50 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Refresh
+              </button>
+              <button
+                onClick={() => router.push('/ingest')}
+                className="bg-sky-600 hover:bg-sky-700 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Ingest Documents
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="max-w-5xl mx-auto p-6">
+          {/* Status Messages */}
+          {status && (
+            <div className={`mb-6 p-4 rounded-lg ${
+              status.type === 'success' ? 'bg-green-600' :
+              status.type === 'error' ? 'bg-red-600' :
+              'bg-blue-600'
+            }`}>
+              {status.message}
+            </div>
+          )}
+
+          <div className="bg-zinc-800 rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Ingested Documents ({documents.length})</h2>
+              {documents.length > 0 && (
+                <div className="text-sm text-zinc-400">{totalChunks} chunks in vectorstore</div>
+              )}
+            </div>
+
+            {isLoading ? (
+              <div className="flex items-center justify-center py-12">
+                <div className="animate-spin w-8 h-8 border-2 border-white border-t-transparent rounded-full"></div>
+              </div>
+            ) : documents.length === 0 ? (
+              <div className="text-center text-zinc-400 py-12">
+                <div className="text-4xl mb-4">📂</div>
+                <p>No documents have been ingested yet.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-zinc-400 border-b border-zinc-700">
+                      <th className="py-2 pr-4 font-medium">Name</th>
+                      <th className="py-2 pr-4 font-medium">Type</th>
+                      <th className="py-2 pr-4 font-medium">Size</th>
+                      <th className="py-2 pr-4 font-medium">Chunks</th>
+                      <th className="py-2 pr-4 font-medium">Ingested</th>
+                      <th className="py-2 font-medium text-right">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {documents.map((document) => (
+                      <tr key={document.id} className="border-b border-zinc-700/50">
+                        <td className="py-3 pr-4">
+                          <div className="flex items-center gap-2 min-w-0">
+                            <span className="text-lg">{getFileIcon(document.name)}</span>
+                            <span className="font-medium truncate">{document.name}</span>
+                          </div>
+                        </td>
+                        <td className="py-3 pr-4 text-zinc-300">
+                          {(document.type || getFileExtension(document.name)).toUpperCase()}
+                        </td>
+                        <td className="py-3 pr-4 text-zinc-300">
+                          {typeof document.size === 'number' ? formatFileSize(document.size) : '—'}
+                        </td>
+                        <td className="py-3 pr-4 text-zinc-300">{document.chunk_count ?? '—'}</td>
+                        <td className="py-3 pr-4 text-zinc-300">{formatDate(document.ingested_at)}</td>
+                        <td className="py-3 text-right whitespace-nowrap">
+                          {busyDocumentId === document.id ? (
+                            <div className="inline-block animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
+                          ) : (
+                            <div className="flex gap-2 justify-end">
+                              <button
+                                onClick={() => startReplace(document)}
+                                disabled={busyDocumentId !== null}
+                                className="text-sky-400 hover:text-sky-300 disabled:opacity-50 transition-colors"
+                              >
+                                Replace
+                              </button>
+                              <button
+                                onClick={() => deleteDocument(document)}
+                                disabled={busyDocumentId !== null}
+                                className="text-red-400 hover:text-red-300 disabled:opacity-50 transition-colors"
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <input
+              ref={replaceInputRef}
+              type="file"
+              accept={ACCEPTED_TYPES}
+              onChange={handleReplaceFile}
+              className="hidden"
+            />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { signIn, getProviders, useSession } from 'next-auth/react';
+
+// Only allow redirects back into this app
+const getCallbackUrl = (query) => {
+  const callbackUrl = typeof query.callbackUrl === 'string' ? query.callbackUrl : '/chat';
+  try {
+    const url = new URL(callbackUrl, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search : '/chat';
+  } catch {
+    return '/chat';
+  }
+};
+
+export default function LoginPage() {
+  const router = useRouter();
+  const { status } = useSession();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [ssoProvider, setSsoProvider] = useState(null);
+
+  useEffect(() => {
+    getProviders().then(providers => {
+      setSsoProvider(providers?.oidc || null);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (status === 'authenticated' && router.isReady) {
+      router.replace(getCallbackUrl(router.query));
+    }
+  }, [status, router]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    const result = await signIn('credentials', {
+      username,
+      password,
+      redirect: false
+    });
+
+    setIsSubmitting(false);
+    if (result?.ok) {
+      router.replace(getCallbackUrl(router.query));
+    } else {
+      setError('Invalid username or password.');
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Sign In</title>
+        <meta name="description" content="Sign in to Document Chat" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <div className="min-h-screen bg-zinc-900 text-white flex items-center justify-center p-4">
+        <div className="w-full max-w-sm bg-zinc-800 rounded-lg p-6">
+          <h1 className="text-2xl font-bold italic text-white mb-6 text-center">
+            Policy<span className="text-blue-400">Pal</span>📝
+          </h1>
+
+          {error && (
+            <div className="mb-4 p-3 rounded-lg bg-red-600 text-sm">{error}</div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="username" className="block text-sm text-zinc-300 mb-1">Username</label>
+              <input
+                id="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                className="w-full bg-zinc-700 text-white border border-zinc-600 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="password" className="block text-sm text-zinc-300 mb-1">Password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                className="w-full bg-zinc-700 text-white border border-zinc-600 rounded-lg p-2 focus:outline-none focus:ring-2 focus:ring-sky-500"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full bg-sky-600 hover:bg-sky-700 disabled:bg-zinc-600 text-white p-2 rounded-lg transition-colors flex items-center justify-center gap-2"
+            >
+              {isSubmitting && (
+                <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full"></div>
+              )}
+              Sign In
+            </button>
+          </form>
+
+          {ssoProvider && (
+            <>
+              <div className="flex items-center gap-3 my-4 text-zinc-500 text-sm">
+                <div className="flex-1 border-t border-zinc-700"></div>
+                or
+                <div className="flex-1 border-t border-zinc-700"></div>
+              </div>
+              <button
+                onClick={() => signIn(ssoProvider.id, { callbackUrl: getCallbackUrl(router.query) })}
+                className="w-full bg-zinc-700 hover:bg-zinc-600 text-white p-2 rounded-lg transition-colors"
+              >
+                Sign in with {ssoProvider.name}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,133 @@
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import useBackendStatus from '@/hooks/useBackendStatus';
+import LatencyChart from '@/components/LatencyChart';
+import {
+  READINESS_LABELS,
+  describeHealthField,
+  getFieldSince,
+  getLatencyStats
+} from '@/lib/backendHealth';
+
+// The dashboard checks more often than the chat header does
+const DASHBOARD_POLL_INTERVAL_MS = 5000;
+
+const READINESS_STYLES = {
+  ready: 'bg-green-600',
+  not_ready: 'bg-yellow-600',
+  offline: 'bg-red-600',
+  checking: 'bg-zinc-700'
+};
+
+const COMPONENTS = [
+  { field: 'ok', label: 'Server' },
+  { field: 'modelsInitialized', label: 'Models' },
+  { field: 'vectorstoreLoaded', label: 'Vectorstore' }
+];
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+export default function StatusPage() {
+  const router = useRouter();
+  const { readiness, latest, samples, changes, checkNow } = useBackendStatus({
+    pollIntervalMs: DASHBOARD_POLL_INTERVAL_MS
+  });
+  const latency = getLatencyStats(samples);
+
+  return (
+    <>
+      <Head>
+        <title>Server Status</title>
+        <meta name="description" content="Backend health and response times" />
+        <link rel="icon" href="/favicon.ico" />
+      </Head>
+
+      <div className="min-h-screen bg-zinc-900 text-white">
+        {/* Header */}
+        <div className="bg-zinc-800 border-b border-zinc-700 p-4">
+          <div className="max-w-4xl mx-auto flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <button
+                onClick={() => router.push('/chat')}
+                className="text-zinc-400 hover:text-white transition-colors"
+              >
+                ← Back to Chat
+              </button>
+              <h1 className="text-2xl font-bold">Server Status</h1>
+            </div>
+            <button
+              onClick={checkNow}
+              className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded-lg transition-colors"
+            >
+              Check Now
+            </button>
+          </div>
+        </div>
+
+        <div className="max-w-4xl mx-auto p-6 space-y-6">
+          <div className={`p-4 rounded-lg ${READINESS_STYLES[readiness]}`} role="status">
+            <span className="font-semibold">{READINESS_LABELS[readiness]}</span>
+            {latest && (
+              <span className="ml-2 text-sm opacity-80">
+                {latest.status && `Server reports "${latest.status}". `}Last checked {formatTime(latest.checkedAt)}.
+              </span>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {COMPONENTS.map(component => {
+              // Models and vectorstore are unknown while the server is unreachable
+              const known = latest && (component.field === 'ok' || latest.ok);
+              const value = known ? latest[component.field] : null;
+              return (
+                <div key={component.field} className="bg-zinc-800 rounded-lg p-4">
+                  <div className="text-sm text-zinc-400">{component.label}</div>
+                  <div className={`text-xl font-semibold mt-1 ${
+                    value === null ? 'text-zinc-400' : value ? 'text-green-400' : 'text-red-400'
+                  }`}>
+                    {value === null ? '—' : describeHealthField(component.field, value)}
+                  </div>
+                  <div className="text-xs text-zinc-500 mt-1">
+                    Since {formatTime(getFieldSince(samples, changes, component.field))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="bg-zinc-800 rounded-lg p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold">Response Time</h2>
+              {latency && (
+                <div className="flex gap-4 text-sm text-zinc-400">
+                  <span>Last {latency.last} ms</span>
+                  <span>Average {latency.average} ms</span>
+                  <span>Max {latency.max} ms</span>
+                </div>
+              )}
+            </div>
+            <LatencyChart samples={samples} />
+          </div>
+
+          <div className="bg-zinc-800 rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">State Changes</h2>
+            {changes.length === 0 ? (
+              <p className="text-zinc-400 text-sm">No changes since this page was opened.</p>
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {[...changes].reverse().map(change => (
+                  <li key={`${change.at}-${change.field}`} className="flex gap-4">
+                    <span className="text-zinc-500 shrink-0">{formatTime(change.at)}</span>
+                    <span>
+                      {change.label}: <span className={change.value ? 'text-green-400' : 'text-red-400'}>{change.description}</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,12 @@
+import { fileURLToPath } from "url";
+
+const config = {
+  resolve: {
+    alias: { "@": fileURLToPath(new URL(".", import.meta.url)) },
+  },
+  test: {
+    include: ["**/*.test.js"],
+  },
+};
+
+export default config;